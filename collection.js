@@ -71,11 +71,14 @@ module.exports = Backbone.Collection.extend({
 
     // Build query against where query
     if (_.isObject(options.query)) {
-      query = options.query;
+      query = _.clone(options.query);
     }
 
+    // Exclude soft deleted documents (see `Model.softDelete`)
+    this.model.prototype.addDeletedToQuery(query, options);
+
     // Build query with optional: limit, skip, sort
-    var mongoOptions = _.pick(options, ['limit', 'skip', 'sort', 'fields']) || {};
+    var mongoOptions = _.pick(options, ['limit', 'skip', 'sort', 'fields', 'count']) || {};
     console.info('Collection [%s] read with query: %s and options: %s',
       this.model.prototype.urlRoot,
       JSON.stringify(query),
@@ -86,8 +89,15 @@ module.exports = Backbone.Collection.extend({
       this.wrapResponse(options)
     ).bind(this).then(function(resp) {
       this.total = resp[1] || 0;
-      return this;
-    });
+
+      // Populate relations of all models at once (see `Model.populateModels`)
+      if (!_.isEmpty(options.populate)) {
+        var model = new this.model();
+        model.db = this.db;
+        model.cache = this.cache;
+        return model.populateModels(this.models, options.populate);
+      }
+    }).return(this);
   }),
 
   // Count (not part of `sync`)
@@ -113,9 +123,12 @@ module.exports = Backbone.Collection.extend({
     // Build query against where query
     var query = {};
     if (_.isObject(options.query)) {
-      query = options.query;
+      query = _.clone(options.query);
     }
 
+    // Exclude soft deleted documents (see `Model.softDelete`)
+    this.model.prototype.addDeletedToQuery(query, options);
+
     return this.db.count(
       this.model.prototype.urlRoot,
       query,
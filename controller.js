@@ -27,6 +27,99 @@ var Model = require('./model');
 var Collection = require('./collection');
 var xml2js = require('xml2js');
 
+// Parse a query string value of each `queryParams` type
+// An invalid value returns `undefined` and is ignored
+var parseBoolean = function(val) {
+  if (_.contains(['true', '1'], val)) {
+    return true;
+  } else if (_.contains(['false', '0'], val)) {
+    return false;
+  }
+};
+
+// ISO8601 or epoch in `s` or `ms`, as milliseconds
+var parseTimestamp = function(val) {
+  if (_.isValidISO8601String(val)) {
+    return new Date(val).getTime();
+  } else if (/^\d+$/.test(val)) {
+    val = _.parseInt(val);
+    return _.isUnixTime(val) ? val * 1000 : val;
+  }
+};
+
+var queryParamTypes = {
+  // strings, no transformation
+  string: function(val) {
+    return val;
+  },
+  // regex case insensitive and escaping special characters
+  regex: function(val) {
+    return {
+      '$regex': _.escapeRegExp(val),
+      '$options': 'i'
+    };
+  },
+  integer: function(val) {
+    val = _.parseInt(val);
+    return _.isNaN(val) ? undefined : val;
+  },
+  float: function(val) {
+    val = parseFloat(val);
+    return _.isNaN(val) ? undefined : val;
+  },
+  boolean: parseBoolean,
+  date: function(val) {
+    var timestamp = parseTimestamp(val);
+    return _.isUndefined(timestamp) ? timestamp : new Date(timestamp);
+  },
+  timestamp: parseTimestamp,
+  // validated hex string, cast to an ObjectId by `Mongo`
+  objectid: function(val) {
+    return _.isObjectId(val) ? val : undefined;
+  },
+  // an element of an array attribute
+  array: function(val) {
+    return val;
+  },
+  exists: parseBoolean
+};
+
+// Sort orders of the `order` query string param
+var sortOrders = {
+  asc: 'asc',
+  desc: 'desc',
+  '1': 'asc',
+  '-1': 'desc'
+};
+
+// Whether a dot notation keypath is hidden by a `hiddenAttributes` mask
+var isHiddenKeypath = function(hiddenAttributes, keypath) {
+  var mask = hiddenAttributes;
+  return _.some(keypath.split('.'), function(key) {
+    mask = _.isObject(mask) ? mask[key] : undefined;
+    return mask === true;
+  });
+};
+
+// Comparison operators of query params, Ex: `?price[gte]=100`
+// List operators take `,` separated values
+var queryOperators = ['gt', 'gte', 'lt', 'lte', 'ne', 'in', 'nin', 'all'];
+var listOperators = ['in', 'nin', 'all'];
+
+// The type and whitelisted operators of a `queryParams` definition
+// Arrays allow `all` unless their operators are declared
+var queryParamDefinition = function(definition) {
+  if (_.isPlainObject(definition)) {
+    return _.defaults({}, definition, {
+      operators: definition.type === 'array' ? ['all'] : []
+    });
+  }
+  return {
+    type: definition,
+    operators: definition === 'array' ? ['all'] : []
+  };
+};
+
 module.exports = Backbone.Model.extend({
   debug: false,
 
@@ -45,7 +138,26 @@ module.exports = Backbone.Model.extend({
     return {};
   },
 
+  // Default render views of route actions (see `Model.views`)
+  // `?view=` renders another view
+  // Object or Function
+  // Ex: `{find: 'summary'}`
+  defaultViews: function() {
+    return {};
+  },
+
+  // Fields that may be sorted by, any if empty (see `parseSort`)
+  // Array or Function
+  // Ex: `['created', 'name']`
+  sortableParams: function() {
+    return [];
+  },
+
   // Database query parameters/filters
+  // Either `string`, `regex`, `integer`, `float`, `boolean`, `date`,
+  // `timestamp`, `objectid`, `array` or `exists`
+  // Or `{type, operators}` to whitelist comparison operators
+  // Ex: `{price: {type: 'integer', operators: ['gte', 'lt']}}`
   // Object or Function
   queryParams: function() {
     return {};
@@ -83,6 +195,19 @@ module.exports = Backbone.Model.extend({
     this.after.push(this.successResponse);
     this.after.push(this.errorResponse);
     this.after.push(this.finalResponse);
+
+    // Unknown query param types and operators would silently be ignored
+    _.each(_.result(this, 'queryParams'), function(definition, key) {
+      definition = queryParamDefinition(definition);
+      if (!_.has(queryParamTypes, definition.type)) {
+        throw new Error('Unknown type `' + definition.type + '` of query param `' + key + '`.');
+      }
+      _.each(definition.operators, function(operator) {
+        if (!_.contains(queryOperators, operator)) {
+          throw new Error('Unknown operator `' + operator + '` of query param `' + key + '`.');
+        }
+      });
+    });
   },
 
   // Setup routes that this controller should handle
@@ -130,12 +255,21 @@ module.exports = Backbone.Model.extend({
       return next();
     }
 
+    var view = this.getView(req);
+    var options = {};
+
+    // Sparse fieldset (see `parseFields`)
+    var fields = this.parseFields(req);
+    if (fields.length > 0) {
+      options.fields = fields;
+    }
+
     if (modelOrCollection instanceof Model) {
       // Data is a Model
-      res.data = this.renderModel(modelOrCollection);
+      res.data = this.renderModel(modelOrCollection, view, options);
     } else if (modelOrCollection instanceof Collection) {
       // Data is a Collection
-      res.data = this.renderCollection(modelOrCollection);
+      res.data = this.renderCollection(modelOrCollection, view, options);
     } else {
       // Data is raw
       res.data = modelOrCollection;
@@ -188,6 +322,14 @@ module.exports = Backbone.Model.extend({
     if (_.isString(err.type)) {
       error.type = err.type;
     }
+    // Per-field validation errors
+    if (_.isArray(err.errors)) {
+      error.errors = err.errors;
+    }
+    // Fields of a violated unique index
+    if (_.isArray(err.fields)) {
+      error.fields = err.fields;
+    }
     var envelope = {
       meta: {
         code: code,
@@ -257,16 +399,28 @@ module.exports = Backbone.Model.extend({
   // Render
   // ---
 
-  renderModel: function(model) {
-    return model.render();
+  // `view` is an optional view name (see `Model.views`)
+  renderModel: function(model, view, options) {
+    return model.render(view, options);
   },
 
-  renderCollection: function(collection) {
+  renderCollection: function(collection, view, options) {
     return collection.map(function(model) {
-      return model.render();
+      return model.render(view, options);
     });
   },
 
+  // The render view of a request
+  // Either `?view=` or the default view of the route (see `defaultViews`)
+  getView: function(req) {
+    if (req.query && _.isString(req.query.view) && req.query.view) {
+      return req.query.view;
+    }
+    if (req.routeOptions && _.isString(req.routeOptions.view)) {
+      return req.routeOptions.view;
+    }
+  },
+
 
 
   // Helpers
@@ -321,14 +475,15 @@ module.exports = Backbone.Model.extend({
     // Reserved Params
     var created = req.query.created || {}; // accepts both s and ms
     var updated = req.query.updated || {}; // accepts both s and ms
-    var sortBy = req.query.sort || this.sortParam; // validate sortableParams
-    var orderBy = req.query.order || this.sortOrder; // validate [asc, desc] or [1, -1]
     var skip = req.query.skip || req.query.offset || this.skip;
     var limit = req.query.limit || req.query.count || this.limit;
     skip = _.parseInt(skip) || 0;
     limit = _.parseInt(limit) || 0;
     limit = Math.min(limit, this.limit); // Hard limit at 100
 
+    // Virtual attributes are never sorted or filtered by (see `Model.virtuals`)
+    var virtuals = this.model ? _.keys(_.result(this.model.prototype, 'virtuals')) : [];
+
     var page = _.parseInt(req.query.page);
     if (page > 0) {
       // IMPORTANT! `page` starts at 1
@@ -360,58 +515,68 @@ module.exports = Backbone.Model.extend({
     var queryParams = _.extend(_.result(this, 'queryParams'), {
       'user_id': 'string'
     });
-    var filterParams = _.pick(req.query, _.keys(queryParams));
+    var filterParams = _.omit(_.pick(req.query, _.keys(queryParams)), virtuals);
     var logicalOperator = '$' + (req.query.logical || 'and').toLowerCase().replace(/[@\s]/g, '');
 
     _.each(filterParams, function(val, key) {
+      // The built query filter
+      var filter = {};
+
+      // Get param type and its whitelisted operators
+      var definition = queryParamDefinition(queryParams[key]);
+      var type = definition.type;
+
+      // Comparison operators, values are parsed by the param type
+      // Ex: `price[gte]=100&price[lt]=500` or `status[nin]=void,refunded`
+      // Operators that are not whitelisted are ignored
+      if (_.isPlainObject(val)) {
+        var parseOperand = queryParamTypes[type === 'regex' ? 'string' : type];
+        _.each(val, function(operand, operator) {
+          if (!_.contains(definition.operators, operator) || !_.isString(operand)) {
+            return;
+          }
+
+          var operands = _.reject(_.map(operand.split(','), parseOperand), _.isUndefined);
+          if (operands.length === 0) {
+            return;
+          }
+
+          filter[key] = filter[key] || {};
+          filter[key]['$' + operator] = _.contains(listOperators, operator) ? operands : operands[0];
+        });
+
+        if (!_.isEmpty(filter)) {
+          queries.push(filter);
+        }
+        return;
+      }
+
       // If value is all, ignore this param
-      if (val === 'all') {
+      // So are values that are not strings
+      if (val === 'all' || !_.isString(val)) {
         return;
       }
 
       // Support `,` as `$or` for each param
-      var vals = val.split(',');
+      // Invalid values of the type are ignored
+      var vals = _.reject(_.map(val.split(','), queryParamTypes[type]), _.isUndefined);
 
       // No value, ignore this param
       if (vals.length === 0) {
         return;
       }
 
-      // The built query filter
-      var filter = {};
-
-      // Get param type
-      var type = queryParams[key];
-
-      // Deal with different param types
-      if (type === 'string') {
-        // strings and objectid
-        // no transformation
-      } else if (type === 'regex') {
-        // regex case insensitive and escaping special characters
-        vals = _.map(vals, function(v) {
-          return {
-            '$regex': _.escapeRegExp(v),
-            '$options': 'i'
-          };
-        });
-      } else if (type === 'integer') {
-        // integers
-        vals = _.map(vals, function(v) {
-          return _.parseInt(v);
-        });
-      } else if (type === 'float') {
-        // floats
-        vals = _.map(vals, function(v) {
-          return parseFloat(v);
-        });
-      } else {
-        // invalid or unknown type
-        return;
-      }
-
-      // If there is only one val, no need to use `$or`
-      if (vals.length === 1) {
+      // Arrays match any of the values
+      if (type === 'array') {
+        filter[key] = {
+          '$in': vals
+        };
+      } else if (type === 'exists') {
+        filter[key] = {
+          '$exists': vals[0]
+        };
+      } else if (vals.length === 1) {
+        // If there is only one val, no need to use `$or`
         filter[key] = vals[0];
       } else {
         var orExpr = [];
@@ -433,15 +598,101 @@ module.exports = Backbone.Model.extend({
 
     // Options
     // Sort/Order/Limit/Skip
-    var sortOptions = [
-      [sortBy, orderBy]
-    ];
+    var sortOptions = this.parseSort(req, virtuals);
 
-    return {
+    var result = {
       'query': query,
       'sort': sortOptions,
       'limit': limit,
       'skip': skip
     };
+
+    // Relations to populate (see `Model.relations`)
+    var populate = this.parseExpand(req);
+    if (populate.length > 0) {
+      result.populate = populate;
+    }
+
+    // Projection of a sparse fieldset
+    var fields = this.parseFields(req);
+    if (fields.length > 0 && this.model) {
+      result.fields = this.model.prototype.buildProjection(fields);
+    }
+
+    return result;
+  },
+
+  // Parses `sort` and `order` in req.query (querystring) as sort options
+  // `sort` is a `,` separated list of fields, `-` sorts a field descending
+  // and other fields are sorted by `order` (asc, desc, 1 or -1)
+  // Ex: `sort=-created,name&order=asc` is `[['created', 'desc'], ['name', 'asc']]`
+  // Fields not in `sortableParams` (if any) or hidden fields respond with a 400
+  parseSort: function(req, virtuals) {
+    var err;
+
+    var order = String(req.query.order || this.sortOrder).toLowerCase();
+    if (!_.has(sortOrders, order)) {
+      err = new Error('Invalid `order` parameter, expected `asc`, `desc`, `1` or `-1`.');
+      err.code = 400;
+      throw err;
+    }
+    order = sortOrders[order];
+
+    var sortableParams = _.result(this, 'sortableParams') || [];
+    var hiddenAttributes = this.model ? _.result(this.model.prototype, 'hiddenAttributes') : {};
+
+    var sort = [];
+    _.each(String(req.query.sort || '').split(','), function(field) {
+      field = field.trim();
+      var fieldOrder = order;
+      if (field.charAt(0) === '-') {
+        field = field.slice(1);
+        fieldOrder = 'desc';
+      }
+
+      // Virtual attributes are ignored
+      if (!field || _.contains(virtuals, field)) {
+        return;
+      }
+
+      if ((sortableParams.length && !_.contains(sortableParams, field)) ||
+        isHiddenKeypath(hiddenAttributes, field)) {
+        err = new Error('Cannot sort by `' + field + '`.');
+        err.code = 400;
+        throw err;
+      }
+
+      sort.push([field, fieldOrder]);
+    });
+
+    // Default sort
+    if (sort.length === 0) {
+      sort.push([this.sortParam, order]);
+    }
+    return sort;
+  },
+
+  // Parses `fields` in req.query (querystring) as the keypaths to render
+  // Ex: `fields=name,email,items.sku` is `['name', 'email', 'items.sku']`
+  parseFields: function(req) {
+    if (!req.query || !_.isString(req.query.fields)) {
+      return [];
+    }
+
+    return _.compact(_.map(req.query.fields.split(','), function(field) {
+      return field.trim();
+    }));
+  },
+
+  // Parses `expand` in req.query (querystring) as relations to populate
+  // Ex: `expand=user,items.product` is `['user', 'items.product']`
+  parseExpand: function(req) {
+    if (!req.query.expand) {
+      return [];
+    }
+
+    return _.compact(_.map(String(req.query.expand).split(','), function(path) {
+      return path.trim();
+    }));
   }
 });
@@ -11,6 +11,7 @@
 // Dependencies
 // ---
 var _ = require('lodash');
+var Promise = require('bluebird');
 var Controller = require('./controller');
 var Model = require('./model');
 var Collection = require('./collection');
@@ -27,8 +28,15 @@ module.exports = Controller.extend({
   collection: Collection,
 
   // Available controller actions (see `setupRoutes` for more info)
+  // Add `S` to restore soft deleted documents (see `Model.softDelete`)
+  // Add `H` to find the history of documents (see `Model.audit`)
   crud: ['T', 'C', 'R', 'O', 'U', 'P', 'D'],
 
+  // Opt-in keyset pagination of `find` with `?cursor=` instead of skip/limit
+  // Responds with `meta.paging.next_cursor` and does not count documents
+  // (see `applyCursor`)
+  cursorPagination: false,
+
   // Base path appends `urlRoot`
   basePath: function() {
     return this.path + this.urlRoot;
@@ -64,7 +72,8 @@ module.exports = Controller.extend({
             middleware: this.getRouteOption('create', 'middleware'),
             allowedParams: this.getRouteOption('create', 'allowedParams'),
             requiredParams: this.getRouteOption('create', 'requiredParams'),
-            disallowedParams: this.getRouteOption('create', 'disallowedParams')
+            disallowedParams: this.getRouteOption('create', 'disallowedParams'),
+            view: this.getRouteOption('create', 'defaultViews')
           };
           break;
         case 'R':
@@ -74,7 +83,8 @@ module.exports = Controller.extend({
             middleware: this.getRouteOption('find', 'middleware'),
             allowedParams: this.getRouteOption('find', 'allowedParams'),
             requiredParams: this.getRouteOption('find', 'requiredParams'),
-            disallowedParams: this.getRouteOption('find', 'disallowedParams')
+            disallowedParams: this.getRouteOption('find', 'disallowedParams'),
+            view: this.getRouteOption('find', 'defaultViews')
           };
           break;
         case 'O':
@@ -84,7 +94,8 @@ module.exports = Controller.extend({
             middleware: this.getRouteOption('findOne', 'middleware'),
             allowedParams: this.getRouteOption('findOne', 'allowedParams'),
             requiredParams: this.getRouteOption('findOne', 'requiredParams'),
-            disallowedParams: this.getRouteOption('findOne', 'disallowedParams')
+            disallowedParams: this.getRouteOption('findOne', 'disallowedParams'),
+            view: this.getRouteOption('findOne', 'defaultViews')
           };
           break;
         case 'U':
@@ -94,7 +105,8 @@ module.exports = Controller.extend({
             middleware: this.getRouteOption('update', 'middleware'),
             allowedParams: this.getRouteOption('update', 'allowedParams'),
             requiredParams: this.getRouteOption('update', 'requiredParams'),
-            disallowedParams: this.getRouteOption('update', 'disallowedParams')
+            disallowedParams: this.getRouteOption('update', 'disallowedParams'),
+            view: this.getRouteOption('update', 'defaultViews')
           };
           break;
         case 'P':
@@ -104,7 +116,8 @@ module.exports = Controller.extend({
             middleware: this.getRouteOption('update', 'middleware'),
             allowedParams: this.getRouteOption('update', 'allowedParams'),
             requiredParams: this.getRouteOption('update', 'requiredParams'),
-            disallowedParams: this.getRouteOption('update', 'disallowedParams')
+            disallowedParams: this.getRouteOption('update', 'disallowedParams'),
+            view: this.getRouteOption('update', 'defaultViews')
           };
           break;
         case 'D':
@@ -117,6 +130,27 @@ module.exports = Controller.extend({
             disallowedParams: this.getRouteOption('destroy', 'disallowedParams')
           };
           break;
+        case 'S':
+          // Restore
+          this.routes.post[basePath + '/:id/restore'] = {
+            action: this.restore,
+            middleware: this.getRouteOption('restore', 'middleware'),
+            allowedParams: this.getRouteOption('restore', 'allowedParams'),
+            requiredParams: this.getRouteOption('restore', 'requiredParams'),
+            disallowedParams: this.getRouteOption('restore', 'disallowedParams'),
+            view: this.getRouteOption('restore', 'defaultViews')
+          };
+          break;
+        case 'H':
+          // History
+          this.routes.get[basePath + '/:id/history'] = {
+            action: this.history,
+            middleware: this.getRouteOption('history', 'middleware'),
+            allowedParams: this.getRouteOption('history', 'allowedParams'),
+            requiredParams: this.getRouteOption('history', 'requiredParams'),
+            disallowedParams: this.getRouteOption('history', 'disallowedParams')
+          };
+          break;
         default:
           break;
       }
@@ -148,6 +182,25 @@ module.exports = Controller.extend({
     options = options || {};
     _.merge(options, this.parseQueryString(req));
 
+    if (this.cursorPagination) {
+      var limit = this.applyCursor(req, options);
+
+      return collection.fetch(options).bind(this).tap(function() {
+        // One more document than the limit is fetched to know if there are more
+        var hasMore = collection.length > limit;
+        if (hasMore) {
+          collection.remove(collection.last());
+        }
+
+        res.paging = {
+          count: collection.length,
+          limit: limit,
+          has_more: hasMore,
+          next_cursor: hasMore ? this.encodeCursor(collection.last(), options.sort) : null
+        };
+      }).then(this.render(req, res, next)).catch(next);
+    }
+
     return collection.fetch(options).tap(function() {
       res.paging = {
         total: _.parseInt(collection.total),
@@ -169,7 +222,21 @@ module.exports = Controller.extend({
       require: true
     });
 
-    return model.fetch(options).bind(this).then(this.render(req, res, next)).catch(next);
+    // Relations to populate (see `Model.relations`)
+    var populate = this.parseExpand(req);
+    if (populate.length > 0) {
+      options.populate = populate;
+    }
+
+    // Projection of a sparse fieldset (see `Model.buildProjection`)
+    var fields = this.parseFields(req);
+    if (fields.length > 0) {
+      options.fields = model.buildProjection(fields);
+    }
+
+    return model.fetch(options).bind(this).tap(function() {
+      this.setETag(res, model);
+    }).then(this.render(req, res, next)).catch(next);
   },
 
   create: function(req, res, next) {
@@ -177,7 +244,9 @@ module.exports = Controller.extend({
 
     return model.setFromRequest(req.body).then(function() {
       return model.save();
-    }).bind(this).then(this.render(req, res, next)).catch(next);
+    }).bind(this).tap(function() {
+      this.setETag(res, model);
+    }).then(this.render(req, res, next)).catch(next);
   },
 
   update: function(req, res, next, options) {
@@ -188,17 +257,30 @@ module.exports = Controller.extend({
       require: true
     });
 
-    return model.fetch(options).then(function() {
+    return model.fetch(options).bind(this).then(function() {
+      this.applyIfMatch(req, model);
       return model.setFromRequest(req.body);
     }).then(function() {
       return model.save(null, options);
-    }).bind(this).then(this.render(req, res, next)).catch(next);
+    }).tap(function() {
+      this.setETag(res, model);
+    }).then(this.render(req, res, next)).catch(next);
   },
 
   destroy: function(req, res, next) {
     var model = this.setupModel(req);
 
-    return model.destroy().then(function(resp) {
+    return Promise.bind(this).then(function() {
+      // Audited deletes record the deleted document (see `Model.audit`)
+      if (model.audit) {
+        return model.fetch({
+          require: true
+        });
+      }
+    }).then(function() {
+      this.applyIfMatch(req, model);
+      return model.destroy();
+    }).then(function(resp) {
       if (resp === 0) {
         var err = new Error('Document not found.');
         err.code = 404;
@@ -210,26 +292,161 @@ module.exports = Controller.extend({
     }).catch(next);
   },
 
+  restore: function(req, res, next, options) {
+    var model = this.setupModel(req);
+
+    options = options || {};
+    _.merge(options, {
+      require: true
+    });
+
+    return model.restore(options).bind(this).tap(function() {
+      this.setETag(res, model);
+    }).then(this.render(req, res, next)).catch(next);
+  },
+
+
+
+  // Finds the history records of a document (see `Model.audit`)
+  // Only if the document can be found, soft deleted or not
+  history: function(req, res, next, options) {
+    var model = this.setupModel(req);
+
+    options = options || {};
+    _.merge(options, {
+      require: true,
+      includeDeleted: true
+    });
+
+    var pagination = _.pick(this.parseQueryString(req), ['limit', 'skip']);
+
+    return model.fetch(options).then(function() {
+      return model.fetchHistory(pagination);
+    }).bind(this).then(this.render(req, res, next)).catch(next);
+  },
+
 
 
   // Helpers
   // ---
 
+  // Sets up keyset pagination of `find` (see `cursorPagination`)
+  // The id is added to the sort so that it is unique
+  // and `?cursor=` (see `encodeCursor`) only finds documents after it
+  // Returns the limit, `options.limit` is one more
+  applyCursor: function(req, options) {
+    var idAttribute = this.model.prototype.idAttribute;
+    var sort = options.sort;
+    if (!_.some(sort, function(field) {
+      return field[0] === idAttribute;
+    })) {
+      sort.push([idAttribute, _.last(sort)[1]]);
+    }
+
+    // The next cursor is made of the sort values of the last document
+    if (options.fields) {
+      options.fields = this.model.prototype.buildProjection(_.union(
+        _.keys(options.fields),
+        _.map(sort, function(field) {
+          return field[0];
+        })
+      ));
+    }
+
+    var limit = options.limit || this.limit;
+    options.limit = limit + 1;
+    options.skip = 0;
+    options.count = false;
+
+    if (!req.query.cursor) {
+      return limit;
+    }
+
+    var values;
+    try {
+      values = JSON.parse(_.decodeBase64(String(req.query.cursor)));
+    } catch (e) {}
+    if (!_.isArray(values) || values.length !== sort.length) {
+      var err = new Error('Invalid `cursor` parameter.');
+      err.code = 400;
+      throw err;
+    }
+
+    // Documents after the cursor in the sort order
+    // Ex: `{$or: [{created: {$lt: c}}, {created: c, _id: {$lt: id}}]}`
+    var after = {
+      '$or': _.map(sort, function(field, i) {
+        var clause = {};
+        _.each(sort.slice(0, i), function(previous, j) {
+          clause[previous[0]] = values[j];
+        });
+        clause[field[0]] = {};
+        clause[field[0]][field[1] === 'desc' ? '$lt' : '$gt'] = values[i];
+        return clause;
+      })
+    };
+
+    options.query = _.isEmpty(options.query) ? after : {
+      '$and': [options.query, after]
+    };
+    return limit;
+  },
+
+  // Opaque cursor of the sort values of a model
+  // URL safe base64 of a JSON array
+  encodeCursor: function(model, sort) {
+    return _.encodeBase64(JSON.stringify(_.map(sort, function(field) {
+      return model.get(field[0]);
+    })));
+  },
+
   // Creates and returns a model
   // If there is a `db` and/or `cache` connection, assign it to the model
+  // The request user decides which attributes are rendered or set
+  // (see `Model.attributePolicies`)
   setupModel: function(req) {
     var model = new this.model();
     model.db = this.get('db');
     model.cache = this.get('cache');
+    model.user = req.user;
     return model;
   },
 
+  // Exposes the version of a model as an `ETag`
+  // See `Model.versionAttribute`
+  setETag: function(res, model) {
+    var version = model.versionAttribute && model.get(model.versionAttribute);
+    if (_.isNumber(version)) {
+      res.set('ETag', '"' + version + '"');
+    }
+  },
+
+  // Only write the version of a model in the `If-Match` header
+  // A stale version fails the write with a 409 (see `Model.checkVersion`)
+  // Throws a 412 if the header is not a version
+  applyIfMatch: function(req, model) {
+    var ifMatch = req.get('If-Match');
+    if (!model.versionAttribute || !ifMatch || ifMatch.trim() === '*') {
+      return;
+    }
+
+    var version = ifMatch.trim().replace(/^W\//, '').replace(/"/g, '');
+    if (!/^\d+$/.test(version)) {
+      var err = new Error('Invalid `If-Match` version: ' + ifMatch + '.');
+      err.code = 412;
+      throw err;
+    }
+
+    model.set(model.versionAttribute, _.parseInt(version));
+  },
+
   // Creates and returns a collection
   // If there is a `db` and/or `cache` connection, assign it to the collection
   setupCollection: function(req) {
     var collection = new this.collection();
     collection.db = this.get('db');
     collection.cache = this.get('cache');
+    collection.user = req.user;
     return collection;
   }
 });
@@ -12,6 +12,20 @@ var Backbone = require('backbone');
 var redis = require('redis');
 var Mongo = require('./mongo');
 
+// Index options that make two indexes on the same key differ
+var indexOptionKeys = ['unique', 'sparse', 'expireAfterSeconds'];
+
+// Whether an existing index (from `indexInformation`) is a declared one
+var isSameIndex = function(declared, existing) {
+  return _.isEqual(_.pairs(declared.key), _.pairs(existing.key)) &&
+    _.every(indexOptionKeys, function(key) {
+      if (_.isBoolean(declared[key]) || _.isBoolean(existing[key])) {
+        return Boolean(declared[key]) === Boolean(existing[key]);
+      }
+      return declared[key] === existing[key];
+    });
+};
+
 // DatabaseManager is a singleton that maintains the databases
 module.exports = Backbone.Model.extend({
   debug: false,
@@ -27,6 +41,10 @@ module.exports = Backbone.Model.extend({
       // Automatically connect when setting up mongodb
       autoconnect: true,
 
+      // Keys for `encrypted` model attributes (see `Model.encryption`)
+      // Ex: `{keyId: 'k2', keys: {k1: '<hex>', k2: '<hex>'}}`
+      encryption: {},
+
       silent: false
     };
   },
@@ -85,9 +103,98 @@ module.exports = Backbone.Model.extend({
     }.bind(this));
   },
 
+  // Creates the `indexes` declared by `models` (classes) that are missing
+  // from their collections, in the mongodb named `options.mongodb`
+  // (defaults to the first one)
+  // `options.drop` also drops indexes that are not declared, except `_id_`
+  // `options.dryRun` only plans the changes
+  //
+  // Resolves the changes: `[{collection, action, index}]`,
+  // `action` is either `create` or `drop`
+  syncIndexes: Promise.method(function(models, options) {
+    options = options || {};
+
+    var name = options.mongodb || _.first(_.keys(this.mongodbs));
+    var mongo = this.mongodbs[name];
+    if (!mongo) {
+      throw new Error('No mongodb to sync indexes of.');
+    }
+
+    // Models may share a collection
+    var declared = {};
+    _.each(models, function(ModelClass) {
+      var proto = ModelClass.prototype;
+      declared[proto.urlRoot] = (declared[proto.urlRoot] || []).concat(
+        _.result(proto, 'indexes') || []
+      );
+    });
+
+    return Promise.reduce(_.keys(declared), function(changes, collectionName) {
+      return mongo.indexInformation(collectionName, {
+        full: true
+      }).then(function(existing) {
+        var indexes = declared[collectionName];
+
+        if (options.drop) {
+          _.each(existing, function(index) {
+            if (index.name === '_id_' || _.some(indexes, function(declaredIndex) {
+              return isSameIndex(declaredIndex, index);
+            })) {
+              return;
+            }
+            changes.push({
+              collection: collectionName,
+              action: 'drop',
+              index: index
+            });
+          });
+        }
+
+        _.each(indexes, function(index) {
+          if (_.some(existing, function(existingIndex) {
+            return isSameIndex(index, existingIndex);
+          })) {
+            return;
+          }
+          changes.push({
+            collection: collectionName,
+            action: 'create',
+            index: index
+          });
+        });
+
+        return changes;
+      });
+    }, []).bind(this).tap(function(changes) {
+      _.each(changes, function(change) {
+        if (!this.get('silent')) {
+          console.log('Mongo %s %s index %s on: %s%s',
+            name, change.action, JSON.stringify(change.index.key),
+            change.collection, options.dryRun ? ' (dry run)' : '');
+        }
+      }, this);
+
+      if (options.dryRun) {
+        return;
+      }
+
+      // Sequentially, so an index is dropped before it is recreated
+      return Promise.each(changes, function(change) {
+        if (change.action === 'drop') {
+          return mongo.dropIndex(change.collection, change.index.name);
+        }
+        return mongo.ensureIndex(change.collection, change.index.key, _.omit(change.index, 'key'));
+      });
+    });
+  }),
+
   setupMongo: function(name, url) {
     this.mongodbs[name] = new Mongo(url);
 
+    // Models using this connection encrypt with these keys
+    // (see `Model.getEncryption`)
+    this.mongodbs[name].encryption = this.get('encryption');
+
     // Events
     this.mongodbs[name].on('connect', function(url) {
       if (!this.get('silent')) {
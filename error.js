@@ -2,4 +2,67 @@
 
 // http://www.devthought.com/2011/12/22/a-string-is-not-an-error/
 
-module.exports = Error;
+// Dependencies
+// ---
+var _ = require('lodash');
+var util = require('util');
+
+// Base error with an optional http `code` and `type`
+// `Controller.errorResponse` renders both in `meta.error`
+var BootieError = module.exports = function(message, code, type) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  this.name = 'BootieError';
+  this.message = message;
+  if (code) {
+    this.code = code;
+  }
+  if (type) {
+    this.type = type;
+  }
+};
+
+util.inherits(BootieError, Error);
+
+// Thrown when one or more attributes fail schema validation
+// `errors` is an array of `{keypath, expected, received, message}`
+var ValidationError = BootieError.ValidationError = function(errors) {
+  errors = errors || [];
+  var keypaths = _.uniq(_.map(errors, function(error) {
+    return '`' + error.keypath + '`';
+  }));
+
+  BootieError.call(this, 'Invalid ' + keypaths.join(', ') + ' attribute(s).', 422, 'validation');
+  this.name = 'ValidationError';
+  this.errors = errors;
+};
+
+util.inherits(ValidationError, BootieError);
+
+// Thrown when a write conflicts with the current state of a document
+var ConflictError = BootieError.ConflictError = function(message, type) {
+  BootieError.call(this, message, 409, type || 'conflict');
+  this.name = 'ConflictError';
+};
+
+util.inherits(ConflictError, BootieError);
+
+// Thrown when a write violates a unique index
+// `index` is the name of the index and `fields` its attributes
+var DuplicateError = BootieError.DuplicateError = function(index, fields) {
+  fields = fields || [];
+  var message = fields.length ?
+    'Duplicate value of ' + _.map(fields, function(field) {
+      return '`' + field + '`';
+    }).join(', ') + ' attribute(s).' :
+    'Duplicate value of index `' + index + '`.';
+
+  ConflictError.call(this, message, 'duplicate');
+  this.name = 'DuplicateError';
+  this.index = index;
+  this.fields = fields;
+};
+
+util.inherits(DuplicateError, ConflictError);
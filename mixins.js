@@ -6,6 +6,7 @@ var moment = require('moment');
 var accounting = require('accounting');
 var URLSafeBase64 = require('urlsafe-base64');
 var crypto = require('crypto');
+var url = require('url');
 var objectIdHelper = require('mongodb-objectid-helper');
 
 var mixins = module.exports = {};
@@ -41,6 +42,7 @@ _.mixin({
   },
 
   // Encrypts a utf8 string into an encrypted hex string
+  // Deprecated, no IV nor authentication (see `encryptStringGCM`)
   // https://github.com/joyent/node/issues/6386
   encryptString: function(str, algorithm, key) {
     var inputEncoding = 'utf8';
@@ -57,6 +59,7 @@ _.mixin({
   },
 
   // Decrypts an encrypted hex string back into a utf8 string
+  // Deprecated (see `decryptStringGCM`)
   // https://github.com/joyent/node/issues/6386
   decryptString: function(str, algorithm, key) {
     var inputEncoding = 'utf8';
@@ -71,6 +74,45 @@ _.mixin({
     return deciphered;
   },
 
+  // Encrypts a utf8 string with authenticated AES-256-GCM and a random IV
+  // `key` is a 32 byte hex string and `keyId` names it for key rotation
+  // Returns `<keyId>:<iv>:<tag>:<ciphertext>` with base64 parts
+  encryptStringGCM: function(str, key, keyId) {
+    key = new Buffer(key, 'hex');
+    if (key.length !== 32) {
+      throw new Error('Encryption key `' + keyId + '` must be 32 bytes.');
+    }
+
+    var iv = crypto.randomBytes(12);
+    var cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    var ciphered = cipher.update(str, 'utf8', 'base64');
+    ciphered += cipher.final('base64');
+
+    return [keyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphered].join(':');
+  },
+
+  // Decrypts a string encrypted with `encryptStringGCM`
+  // `keys` is a hash of `keyId: key` that must contain the key of the prefix
+  // Throws if the key is unknown or the ciphertext was tampered with
+  decryptStringGCM: function(str, keys) {
+    var parts = str.split(':');
+    var key = keys && keys[parts[0]];
+    if (!key) {
+      throw new Error('Unknown encryption key `' + parts[0] + '`.');
+    }
+
+    var decipher = crypto.createDecipheriv('aes-256-gcm', new Buffer(key, 'hex'), new Buffer(parts[1], 'base64'));
+    decipher.setAuthTag(new Buffer(parts[2], 'base64'));
+    var deciphered = decipher.update(parts[3], 'base64', 'utf8');
+    deciphered += decipher.final('utf8');
+    return deciphered;
+  },
+
+  // Whether a string looks like the output of `encryptStringGCM`
+  isEncryptedGCM: function(str) {
+    return _.isString(str) && /^[^:]+:[A-Za-z0-9+\/]{16}:[A-Za-z0-9+\/]{22}==:[A-Za-z0-9+\/=]*$/.test(str);
+  },
+
   encodeBase64: function(str) {
     return URLSafeBase64.encode(new Buffer(str, 'utf-8'));
   },
@@ -133,6 +175,15 @@ _.mixin({
     }
   },
 
+  // Only absolute `http` and `https` urls are valid
+  isValidURL: function(str) {
+    if (!_.isString(str) || /\s/.test(str)) {
+      return false;
+    }
+    var parsed = url.parse(str);
+    return _.contains(['http:', 'https:'], parsed.protocol) && !!parsed.hostname;
+  },
+
   isValidISO8601String: function(str) {
     // 2013-11-18T09:04:24.447Z
     // YYYY-MM-DDTHH:mm:ss.SSSZ
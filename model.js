@@ -9,6 +9,531 @@
 var _ = require('lodash');
 var Promise = require('bluebird');
 var Backbone = require('backbone');
+var BootieError = require('./error');
+
+// Coerce a value into a number using `parse` (`_.parseInt` or `parseFloat`)
+// Non-numeric values become `0`, or `NaN` if strict
+// Strict integers (`_.parseInt`) are not truncated, Ex: `'1.5'` is `NaN`
+var coerceNumber = function(val, parse, strict) {
+  if (strict && (!_.isFinite(val) || (parse === _.parseInt && Number(val) % 1 !== 0))) {
+    return NaN;
+  }
+  return parse(val) || 0;
+};
+
+// Coerce a GeoJSON Point or a `[lng, lat]` array into a GeoJSON Point
+// Returns `undefined` if coordinates are missing or out of range
+var coerceGeoPoint = function(val) {
+  var coordinates = _.isArray(val) ? val : _.isObject(val) && val.type === 'Point' && val.coordinates;
+  if (!_.isArray(coordinates) || coordinates.length !== 2 || !_.every(coordinates, _.isFinite)) {
+    return;
+  }
+
+  var lng = parseFloat(coordinates[0]);
+  var lat = parseFloat(coordinates[1]);
+  if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+    return;
+  }
+
+  return {
+    type: 'Point',
+    coordinates: [lng, lat]
+  };
+};
+
+// Computes a mongodb update of the keypaths that changed
+// from `previous` to `current` attributes
+// Nested objects are diffed recursively, arrays and other values as a whole
+// `null` or removed values are unset
+var diffAttributes = function(previous, current, keypath, update) {
+  update = update || {};
+
+  _.each(_.union(_.keys(previous), _.keys(current)), function(key) {
+    var path = keypath ? keypath + '.' + key : key;
+    var prev = previous[key];
+    var curr = current[key];
+
+    if (_.isNull(curr) || _.isUndefined(curr)) {
+      if (!_.isNull(prev) && !_.isUndefined(prev)) {
+        update['$unset'] = update['$unset'] || {};
+        update['$unset'][path] = '';
+      }
+    } else if (_.isPlainObject(prev) && _.isPlainObject(curr)) {
+      diffAttributes(prev, curr, path, update);
+    } else if (!_.isEqual(prev, curr)) {
+      update['$set'] = update['$set'] || {};
+      update['$set'][path] = curr;
+    }
+  });
+
+  return update;
+};
+
+// Picks the keypaths of `json` that are also in `doc`, deeply
+// Ex: the attributes of a fetched document, without defaults
+var pickDeep = function(json, doc) {
+  return _.transform(doc, function(result, val, key) {
+    if (!_.has(json, key)) {
+      return;
+    }
+    result[key] = _.isPlainObject(val) && _.isPlainObject(json[key]) ?
+      pickDeep(json[key], val) : json[key];
+  }, {});
+};
+
+// Keys allowed in a schema descriptor
+// Ex: `{type: 'string', required: true, maxLength: 64}`
+var descriptorKeys = [
+  'type',
+  'required',
+  'enum',
+  'min',
+  'max',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'validate',
+  'encrypted',
+  'sequence',
+  'perUser'
+];
+
+// A schema descriptor is an object with a `type`
+// and no keys other than `descriptorKeys`
+// Otherwise it is a nested object schema
+var isDescriptor = function(schemaType) {
+  return _.isPlainObject(schemaType) &&
+    _.has(schemaType, 'type') &&
+    _.isEmpty(_.omit(schemaType, descriptorKeys));
+};
+
+// A schema type may be a model or a collection class
+// Its values are embedded instances of the class
+// Ex: `address: Address` or `items: Items`
+var isEmbedded = function(schemaType) {
+  return _.isFunction(schemaType) && (
+    schemaType.prototype instanceof Backbone.Model ||
+    schemaType.prototype instanceof Backbone.Collection);
+};
+
+// The schema of an embedded model class
+// or an array of the model schema for a collection class
+var embeddedSchema = function(EmbeddedClass) {
+  if (EmbeddedClass.prototype instanceof Backbone.Collection) {
+    return [embeddedSchema(EmbeddedClass.prototype.model)];
+  }
+  return _.result(EmbeddedClass.prototype, 'combinedSchema') || {};
+};
+
+// Deep clones attributes into plain objects and arrays
+// Embedded models and collections are serialized with their own
+// `method`, either `toJSON` or `render`
+var serialize = function(attrs, method) {
+  var serializeModel = function(model) {
+    return _.isFunction(model[method]) ? model[method]() : model.toJSON();
+  };
+
+  return _.cloneDeep(attrs, function(val) {
+    if (val instanceof Backbone.Model) {
+      return serializeModel(val);
+    } else if (val instanceof Backbone.Collection) {
+      return val.map(serializeModel);
+    }
+  });
+};
+
+// Name of a schema type for validation errors
+var typeName = function(schemaType) {
+  if (_.isArray(schemaType) || (_.isFunction(schemaType) &&
+      schemaType.prototype instanceof Backbone.Collection)) {
+    return 'array';
+  } else if (_.isObject(schemaType)) {
+    return 'object';
+  }
+  return schemaType;
+};
+
+// JSON Schema (draft-07) of each schema type string
+// `ref:<urlRoot>` is looked up as `ref`
+var objectIdPattern = '^[0-9a-fA-F]{24}$';
+var jsonSchemaTypes = {
+  id: {type: 'string', pattern: objectIdPattern},
+  string: {type: 'string'},
+  integer: {type: 'integer'},
+  uinteger: {type: 'integer', minimum: 0},
+  float: {type: 'number'},
+  ufloat: {type: 'number', minimum: 0},
+  boolean: {type: 'boolean'},
+  timestamp: {type: 'integer', minimum: 0},
+  date: {type: 'string', format: 'date-time'},
+  email: {type: 'string', format: 'email'},
+  uuid: {type: 'string', pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'},
+  url: {type: 'string', format: 'uri'},
+  enum: {},
+  money: {type: 'integer'},
+  ref: {type: 'string', pattern: objectIdPattern},
+  geopoint: {
+    type: 'object',
+    properties: {
+      type: {enum: ['Point']},
+      coordinates: {type: 'array', items: {type: 'number'}, minItems: 2, maxItems: 2}
+    },
+    required: ['type', 'coordinates']
+  }
+};
+
+// Converts a schema type to JSON Schema
+// `defaults` are the default values and `hidden` and `readOnly` the masks
+// (Ex: `hiddenAttributes`) of the same level of the schema
+// Embedded classes are converted with their own `toJSONSchema`
+var toJSONSchema = function(schemaType, defaults, hidden, readOnly) {
+  var rules = {};
+  var json;
+
+  if (isDescriptor(schemaType)) {
+    rules = schemaType;
+    schemaType = rules.type;
+  }
+
+  if (isEmbedded(schemaType)) {
+    var isCollection = schemaType.prototype instanceof Backbone.Collection;
+    var proto = isCollection ? schemaType.prototype.model.prototype : schemaType.prototype;
+    json = _.omit(proto.toJSONSchema(), ['$schema', 'title']);
+    if (isCollection) {
+      json = {type: 'array', items: json};
+    }
+  } else if (_.isArray(schemaType)) {
+    json = {type: 'array'};
+    if (schemaType.length) {
+      json.items = toJSONSchema(schemaType[0], undefined,
+        _.isObject(hidden) ? hidden : {}, _.isObject(readOnly) ? readOnly : {});
+    }
+  } else if (_.isPlainObject(schemaType)) {
+    json = {type: 'object'};
+    if (!_.isEmpty(schemaType)) {
+      json.properties = {};
+    }
+
+    var required = [];
+    _.each(schemaType, function(childType, key) {
+      var property = json.properties[key] = toJSONSchema(childType,
+        _.isPlainObject(defaults) ? defaults[key] : undefined,
+        _.isObject(hidden) ? hidden[key] : undefined,
+        _.isObject(readOnly) ? readOnly[key] : undefined);
+      if (isDescriptor(childType) && childType.required) {
+        required.push(key);
+      }
+      if (hidden && hidden[key] === true) {
+        property.writeOnly = true;
+      }
+      if (readOnly && readOnly[key] === true) {
+        property.readOnly = true;
+      }
+    });
+    if (required.length) {
+      json.required = required;
+    }
+    // Nested defaults are set on the properties instead
+    defaults = undefined;
+  } else {
+    json = _.cloneDeep(jsonSchemaTypes[String(schemaType).split(':')[0]] || {});
+  }
+
+  // Array constraints apply to the items, except lengths
+  var constrained = json.type === 'array' && json.items ? json.items : json;
+  if (_.isArray(rules.enum)) {
+    constrained.enum = rules.enum;
+  }
+  if (_.isNumber(rules.min)) {
+    constrained.minimum = rules.min;
+  }
+  if (_.isNumber(rules.max)) {
+    constrained.maximum = rules.max;
+  }
+  if (rules.pattern) {
+    constrained.pattern = _.isRegExp(rules.pattern) ? rules.pattern.source : rules.pattern;
+  }
+  if (_.isNumber(rules.minLength)) {
+    json[json.type === 'array' ? 'minItems' : 'minLength'] = rules.minLength;
+  }
+  if (_.isNumber(rules.maxLength)) {
+    json[json.type === 'array' ? 'maxItems' : 'maxLength'] = rules.maxLength;
+  }
+  if (rules.sequence) {
+    json.readOnly = true;
+  }
+
+  if (!_.isUndefined(defaults)) {
+    json.default = defaults;
+  }
+  return json;
+};
+
+// Builds a validation failure for `ValidationError`
+var failure = function(keypath, rule, schemaType, received, message) {
+  return {
+    keypath: keypath,
+    rule: rule,
+    expected: typeName(schemaType),
+    received: received,
+    message: '`' + keypath + '` ' + message + '.'
+  };
+};
+
+// Checks a value that is valid for its type against descriptor constraints
+// Returns `[rule, message]` for the first failed constraint
+// `validate` is called with the model as context and
+// fails if it returns `false` or an error message
+var checkConstraints = function(val, rules, model) {
+  var values = _.isArray(val) ? val : [val];
+  var length = _.isString(val) || _.isArray(val) ? val.length : undefined;
+  var pattern = _.isString(rules.pattern) ? new RegExp(rules.pattern) : rules.pattern;
+  var message;
+
+  if (_.isArray(rules.enum) && _.difference(values, rules.enum).length) {
+    return ['enum', 'must be one of ' + _.map(rules.enum, function(e) {
+      return '`' + e + '`';
+    }).join(', ')];
+  }
+  if (!_.isUndefined(rules.min) && !_.isArray(val) && val < rules.min) {
+    return ['min', 'must be at least ' + rules.min];
+  }
+  if (!_.isUndefined(rules.max) && !_.isArray(val) && val > rules.max) {
+    return ['max', 'must be at most ' + rules.max];
+  }
+  if (_.isNumber(rules.minLength) && length < rules.minLength) {
+    return ['minLength', 'must have a length of at least ' + rules.minLength];
+  }
+  if (_.isNumber(rules.maxLength) && length > rules.maxLength) {
+    return ['maxLength', 'must have a length of at most ' + rules.maxLength];
+  }
+  if (_.isRegExp(pattern) && !_.every(values, function(v) {
+      return pattern.test(v);
+    })) {
+    return ['pattern', 'must match ' + pattern];
+  }
+  if (_.isFunction(rules.validate)) {
+    message = rules.validate.call(model, val);
+    if (message === false || _.isString(message)) {
+      return ['validate', _.isString(message) ? message : 'is invalid'];
+    }
+  }
+};
+
+// Builds a nested hash of `true` from dot notation keypaths
+// in the format of `hiddenAttributes`
+// Ex: `['name', 'shipping.city']` is `{name: true, shipping: {city: true}}`
+var keypathMask = function(keypaths) {
+  var mask = {};
+
+  // Deepest keypaths first, so their parents replace them
+  _.each(_.sortBy(keypaths, function(keypath) {
+    return -keypath.split('.').length;
+  }), function(keypath) {
+    var keys = keypath.split('.');
+    var node = mask;
+    _.each(keys.slice(0, -1), function(key) {
+      if (!_.isObject(node[key])) {
+        node[key] = {};
+      }
+      node = node[key];
+    });
+    node[_.last(keys)] = true;
+  });
+
+  return mask;
+};
+
+// Picks the attributes of a nested `mask` (see `keypathMask`)
+// Nested masks pick from each object inside arrays
+var pickAttributes = function(attrs, mask) {
+  if (_.isArray(attrs)) {
+    return _.map(attrs, function(val) {
+      return _.isObject(val) ? pickAttributes(val, mask) : val;
+    });
+  }
+
+  var result = {};
+  _.each(mask, function(include, key) {
+    if (!_.has(attrs, key)) {
+      return;
+    }
+    if (_.isObject(include) && _.isObject(attrs[key])) {
+      result[key] = pickAttributes(attrs[key], include);
+    } else if (include === true) {
+      result[key] = attrs[key];
+    }
+  });
+  return result;
+};
+
+// Creates an instance of an embedded model or collection class from `val`
+// Instances of the class are used as is, otherwise `val` must be
+// an object for a model class or an array of objects for a collection class
+// If strict, attributes are validated against the schema of the embedded model
+// first and failures are pushed to `errors` under `keypath`
+// Returns `undefined` if invalid
+var embed = function(EmbeddedClass, val, errors, keypath) {
+  var proto = EmbeddedClass.prototype;
+  var count = errors ? errors.length : 0;
+
+  if (val instanceof EmbeddedClass) {
+    return val;
+  }
+
+  if (proto instanceof Backbone.Collection) {
+    if (!_.isArray(val)) {
+      return;
+    }
+
+    // Invalid elements are dropped, unless strict
+    var models = _.compact(_.map(val, function(attrs, i) {
+      var path = keypath + '.' + i;
+      var before = errors ? errors.length : 0;
+      var model = embed(proto.model, attrs, errors, path);
+      if (!model && errors && errors.length === before) {
+        errors.push(failure(path, 'type', proto.model, attrs, 'must be of type `object`'));
+      }
+      return model;
+    }));
+
+    if (errors && errors.length > count) {
+      return;
+    }
+    return new EmbeddedClass(models);
+  }
+
+  if (!_.isPlainObject(val)) {
+    return;
+  }
+
+  if (errors && _.isFunction(proto.validateAttributes)) {
+    var model = new EmbeddedClass();
+    model.validateAttributes(_.cloneDeep(val), _.result(model, 'combinedSchema'), errors, keypath);
+    if (errors.length > count) {
+      return;
+    }
+  }
+  return new EmbeddedClass(val);
+};
+
+// Encrypts or decrypts (`transform`) values of `encrypted` descriptors
+// in `val` of type `schemaType`, recursing into objects and arrays
+// Note: Mutates objects in val
+var transformEncrypted = function(val, schemaType, transform) {
+  if (_.isNull(val) || _.isUndefined(val)) {
+    return val;
+  }
+
+  if (isDescriptor(schemaType)) {
+    if (schemaType.encrypted) {
+      return transform(val);
+    }
+    schemaType = schemaType.type;
+  }
+  if (isEmbedded(schemaType)) {
+    schemaType = embeddedSchema(schemaType);
+  }
+
+  if (_.isArray(schemaType) && _.isArray(val)) {
+    return _.map(val, function(arrVal) {
+      return transformEncrypted(arrVal, schemaType[0], transform);
+    });
+  } else if (_.isPlainObject(schemaType) && _.isPlainObject(val)) {
+    _.each(val, function(objVal, key) {
+      val[key] = transformEncrypted(objVal, schemaType[key], transform);
+    });
+  }
+  return val;
+};
+
+// Finds the schema type of a dot notation keypath
+// Array indexes resolve to the type of the array elements
+// Returns `null` inside loosely defined schemas (`{}` or `[]`)
+// and `undefined` if the keypath is not in the schema
+var schemaAt = function(schema, keypath) {
+  var node = schema;
+  var keys = keypath.split('.');
+
+  for (var i = 0, n = keys.length; i < n; i++) {
+    if (isDescriptor(node)) {
+      node = node.type;
+    }
+    if (isEmbedded(node)) {
+      node = embeddedSchema(node);
+    }
+
+    if (_.isArray(node)) {
+      if (!node.length) {
+        return null;
+      }
+      node = node[0];
+    } else if (_.isPlainObject(node)) {
+      if (_.isEmpty(node)) {
+        return null;
+      }
+      node = node[keys[i]];
+    } else {
+      return undefined;
+    }
+
+    if (_.isUndefined(node) || _.isNull(node)) {
+      return undefined;
+    }
+  }
+
+  return node;
+};
+
+// Marks a keypath as changed in a hash of changed keypaths
+// A keypath replaces its descendants and is ignored if an ancestor is marked
+var markKeypath = function(changedKeypaths, keypath) {
+  var isMarked = _.some(changedKeypaths, function(v, changed) {
+    return changed === keypath || keypath.indexOf(changed + '.') === 0;
+  });
+  if (isMarked) {
+    return;
+  }
+
+  _.each(_.keys(changedKeypaths), function(changed) {
+    if (changed.indexOf(keypath + '.') === 0) {
+      delete changedKeypaths[changed];
+    }
+  });
+  changedKeypaths[keypath] = true;
+};
+
+// Groups dot notation relation paths by relation name
+// Ex: `['user', 'items.product']` is `{user: [], items: ['product']}`
+// Throws a 400 if a relation is not declared, nested relations included
+var groupRelationPaths = function(proto, paths) {
+  var relations = _.result(proto, 'relations') || {};
+  var grouped = {};
+
+  _.each(paths, function(path) {
+    var keys = path.split('.');
+    var relation = relations[keys[0]];
+    if (!relation) {
+      var err = new Error('Unknown relation `' + keys[0] + '`.');
+      err.code = 400;
+      throw err;
+    }
+    if (!_.contains(['belongsTo', 'hasMany', 'hasOne'], relation.type)) {
+      throw new Error('Invalid relation type `' + relation.type + '` for `' + keys[0] + '`.');
+    }
+
+    grouped[keys[0]] = grouped[keys[0]] || [];
+    if (keys.length > 1) {
+      grouped[keys[0]].push(keys.slice(1).join('.'));
+    }
+  });
+
+  _.each(grouped, function(subpaths, name) {
+    groupRelationPaths(relations[name].model.prototype, subpaths);
+  });
+
+  return grouped;
+};
 
 module.exports = Backbone.Model.extend({
   debug: false,
@@ -23,12 +548,109 @@ module.exports = Backbone.Model.extend({
   // Flag to force all updates to be patches on `sync`
   updateUsingPatch: true,
 
+  // Attribute used for optimistic concurrency control, usually `version`
+  // If set, writes only match the document version that was fetched
+  // and increment it, otherwise they fail with a 409 `ConflictError`
+  versionAttribute: null,
+
+  // Opt-in `created` and `updated` attributes managed by `save`
+  // Either `timestamp` (ms) or `date`, `true` is the same as `timestamp`
+  timestamps: false,
+
+  // Opt-in audit trail, `save` and `destroy` write a history record
+  // of each create, update or delete to the `<urlRoot>_history` collection
+  // (see `writeHistory`)
+  audit: false,
+
+  // Indexes of the collection, created by `Database.syncIndexes`
+  // Ex: `[{key: {user_id: 1, order_number: -1}, unique: true}]`
+  // Other keys are `ensureIndex` options, Ex: `name`, `sparse`
+  indexes: [],
+
+  // The mongodb collection of the counters of `sequence` attributes
+  countersUrlRoot: 'counters',
+
+  // Opt-in soft deletion, `delete` sets a `deleted` timestamp instead of
+  // removing the document and reads exclude deleted documents
+  // unless `options.includeDeleted` (see `restore`)
+  softDelete: false,
+
   // Attributes that are not settable from the request
   readOnlyAttributes: {},
 
   // Attributes that should be saved to the database but NOT rendered to JSON
   hiddenAttributes: {},
 
+  // Relations to other models (object or function)
+  // Use a function if models require each other
+  // - `belongsTo` - `foreignKey` of this model is the id of the related model
+  // - `hasMany`, `hasOne` - `foreignKey` of the related model(s) is the id of this model
+  //
+  // Example:
+  // relations: function() {
+  //   return {
+  //     user: {type: 'belongsTo', model: User, foreignKey: 'user_id'},
+  //     items: {type: 'hasMany', model: Item, foreignKey: 'order_id'}
+  //   };
+  // }
+  //
+  // Populated models are kept in `related` and rendered (see `populate`)
+  relations: {},
+
+  // Read/write permissions of attributes by role (object or function)
+  // Keys are attributes or dot notation keypaths
+  // Only `read` roles render the attribute and only `write` roles
+  // set it from a request, as if it was hidden or read only for others
+  // Roles are resolved from `this.user` (see `resolveRoles`)
+  //
+  // Example:
+  // attributePolicies: {
+  //   status: {write: ['admin']},
+  //   internal_notes: {read: ['admin'], write: ['admin']}
+  // }
+  attributePolicies: {},
+
+  // Keys for `encrypted` attributes (object or function)
+  // Ex: `{keyId: 'k2', keys: {k1: '<hex>', k2: '<hex>'}}`
+  // New values are encrypted with `keyId`, any key in `keys` decrypts
+  // so keys can be rotated without re-encrypting existing documents
+  // Defaults to the `encryption` of the model's `db` (see `Database`)
+  encryption: null,
+
+  // Named render views (object or function), Ex: `render('summary')`
+  // A view is either an array of attributes or dot notation keypaths,
+  // a nested hash of attributes to include in the format of `hiddenAttributes`,
+  // or a function that is given the rendered attributes
+  //
+  // Example:
+  // views: {
+  //   summary: ['_id', 'name', 'total_dollars'],
+  //   public: {name: true, shipping: {city: true}}
+  // }
+  views: {},
+
+  // Computed attributes (object or function)
+  // Each is a function called with the model as context
+  // Virtuals are got with `get` and rendered, but never set, saved,
+  // sorted or filtered by
+  //
+  // Example:
+  // virtuals: {
+  //   full_name: function() {
+  //     return this.get('first_name') + ' ' + this.get('last_name');
+  //   }
+  // }
+  virtuals: {},
+
+  // Attributes always fetched by a `fields` projection (array or function)
+  // Ex: those that `virtuals` or `render` depend on
+  // (see `buildProjection`)
+  projectionAttributes: [],
+
+  // Flag to reject invalid attributes with a `ValidationError`
+  // in `setFromRequest` and `save` instead of silently removing them
+  strictValidation: false,
+
   // The defaults hash (or function) can be used
   // to specify the default attributes for your model.
   // When creating an instance of the model,
@@ -65,10 +687,30 @@ module.exports = Backbone.Model.extend({
   combinedSchema: function() {
     var schema = _.result(this, 'schema');
     _.merge(schema, _.result(this, 'baseSchema'));
+
+    // The version attribute is always part of the schema
+    if (this.versionAttribute && _.isObject(schema) && !_.has(schema, this.versionAttribute)) {
+      schema[this.versionAttribute] = 'uinteger';
+    }
+
+    // So are timestamps
+    if (this.timestamps && _.isObject(schema)) {
+      _.defaults(schema, {
+        created: this.timestamps === true ? 'timestamp' : this.timestamps,
+        updated: this.timestamps === true ? 'timestamp' : this.timestamps
+      });
+    }
+
+    // And the soft delete timestamp
+    if (this.softDelete && _.isObject(schema) && !_.has(schema, 'deleted')) {
+      schema.deleted = this.timestamps === 'date' ? 'date' : 'timestamp';
+    }
     return schema;
   },
 
   // Override to support `defaultsDeep` and `combinedDefaults`
+  // `options.db` is assigned before parsing, so that `encrypted`
+  // attributes decrypt with its keys (see `getEncryption`)
   // http://backbonejs.org/docs/backbone.html#section-35
   constructor: function(attributes, options) {
     var attrs = attributes || {};
@@ -76,10 +718,16 @@ module.exports = Backbone.Model.extend({
     this.cid = _.uniqueId('c');
     this.attributes = {};
     if (options.collection) this.collection = options.collection;
+    if (options.db) this.db = options.db;
     if (options.parse) attrs = this.parse(attrs, options) || {};
     attrs = _.defaultsDeep({}, attrs, _.result(this, 'combinedDefaults'));
+    this.changedKeypaths = {};
     this.set(attrs, options);
     this.changed = {};
+    this.changedKeypaths = {};
+    this.related = {};
+    // Attributes parsed from a response are in sync with the database
+    if (options.parse) this.snapshot();
     this.initialize.apply(this, arguments);
   },
 
@@ -97,6 +745,12 @@ module.exports = Backbone.Model.extend({
       resp = resp[0];
     }
 
+    // Decrypt `encrypted` attributes
+    resp = this.decryptAttributes(resp);
+
+    // The document as it is in the database (see `snapshot`)
+    this.responseAttributes = _.cloneDeep(resp);
+
     resp = _.defaultsDeep({}, resp, _.result(this, 'combinedDefaults'));
 
     return resp;
@@ -114,6 +768,72 @@ module.exports = Backbone.Model.extend({
     };
   },
 
+  // Encrypts the values of `encrypted` attributes in a document
+  // Keys may also be dot notation keypaths (a mongodb `$set`)
+  // Values are JSON encoded first so they decrypt to the same type
+  // Note: Mutates attrs
+  encryptAttributes: function(attrs) {
+    return this.transformAttributes(attrs, function(val) {
+      var encryption = this.getEncryption();
+      return _.encryptStringGCM(JSON.stringify(val), encryption.keys[encryption.keyId], encryption.keyId);
+    });
+  },
+
+  // Decrypts the values of `encrypted` attributes in a document
+  // Values that are not encrypted (yet) are left as is
+  // Note: Mutates attrs
+  decryptAttributes: function(attrs) {
+    return this.transformAttributes(attrs, function(val) {
+      if (!_.isEncryptedGCM(val)) {
+        return val;
+      }
+      return JSON.parse(_.decryptStringGCM(val, this.getEncryption().keys));
+    });
+  },
+
+  // Applies `transform` to the values of `encrypted` attributes
+  transformAttributes: function(attrs, transform) {
+    var schema = _.result(this, 'combinedSchema');
+    if (!_.isPlainObject(attrs) || !_.isObject(schema)) {
+      return attrs;
+    }
+
+    _.each(attrs, function(val, keypath) {
+      attrs[keypath] = transformEncrypted(val, schemaAt(schema, keypath), transform.bind(this));
+    }, this);
+    return attrs;
+  },
+
+  // The `encryption` config, or that of the `db` of the model
+  // (or of its collection, when parsed by the collection)
+  // Throws if there is no key to encrypt with
+  getEncryption: function() {
+    var db = this.db || this.collection && this.collection.db;
+    var encryption = _.result(this, 'encryption') || db && db.encryption || {};
+    if (!encryption.keys || !encryption.keys[encryption.keyId]) {
+      throw new Error('Model [' + this.urlRoot + '] has `encrypted` attributes but no `encryption` key.');
+    }
+    return encryption;
+  },
+
+  // Remember the attributes as they are in the database
+  // Called after every `fetch` and `save`
+  // `patch` only writes keypaths that changed since
+  // Defaults missing from the parsed document are not in sync,
+  // so they are written by the next `patch`
+  snapshot: function() {
+    this.changedKeypaths = {};
+    this.syncedAttributes = this.toJSON();
+    if (_.isObject(this.responseAttributes)) {
+      this.syncedAttributes = pickDeep(this.syncedAttributes, this.responseAttributes);
+    }
+    this.responseAttributes = null;
+
+    // The last request body is saved too (see `writeHistory`)
+    this.changedFromRequest = {};
+    this.previousFromRequest = {};
+  },
+
   // Getters and Setters
   // ---
 
@@ -131,16 +851,68 @@ module.exports = Backbone.Model.extend({
 
     options || (options = {});
 
+    // Virtual attributes are computed, never set
+    var virtuals = _.result(this, 'virtuals');
+    if (!_.isEmpty(virtuals)) {
+      attrs = _.omit(attrs, _.keys(virtuals));
+    }
+
     // Don't override unset
     if (options.unset) {
+      _.each(attrs, function(v, k) {
+        markKeypath(this.changedKeypaths, k);
+      }, this);
       return Backbone.Model.prototype.set.apply(this, arguments);
     }
 
     // Apply schema
+    // If `options.strict`, reject all attributes if any of them are invalid
+    // Strict by default when validating (Ex: `save`) if `strictValidation`
     var schema = _.result(this, 'combinedSchema');
-    this.validateAttributes(attrs, schema);
+    var strict = _.has(options, 'strict') ? options.strict : options.validate && this.strictValidation;
+    var errors = strict ? [] : undefined;
+    var keys = _.filter(_.keys(attrs), function(k) {
+      return k.indexOf('.') === -1;
+    });
+
+    // Dot notation keypaths are set deep into their top level attribute
+    // Ex: `shipping.address.city`
+    var keypaths = this.expandKeypaths(attrs, schema, errors);
+
+    this.validateAttributes(attrs, schema, errors);
+    if (errors && errors.length) {
+      this.validationError = new BootieError.ValidationError(errors);
+      this.trigger('invalid', this, this.validationError, options);
+      return false;
+    }
+
+    // Keep previous values for keypath change events
+    var previous = _.map(keypaths, function(keypath) {
+      return serialize(this.getDeep(this.attributes, keypath), 'toJSON');
+    }, this);
+
+    if (!Backbone.Model.prototype.set.call(this, attrs, options)) {
+      return false;
+    }
+
+    // Remember which keypaths were set since the last sync (see `patch`)
+    _.each(keys.concat(keypaths), function(k) {
+      if (_.has(attrs, k.split('.')[0])) {
+        markKeypath(this.changedKeypaths, k);
+      }
+    }, this);
+
+    // Fire `change:shipping.address.city` for each changed keypath
+    if (!options.silent) {
+      _.each(keypaths, function(keypath, i) {
+        var current = this.getDeep(this.attributes, keypath);
+        if (!_.isEqual(previous[i], serialize(current, 'toJSON'))) {
+          this.trigger('change:' + keypath, this, current, options);
+        }
+      }, this);
+    }
 
-    return Backbone.Model.prototype.set.call(this, attrs, options);
+    return this;
   },
 
   // Tested and working with both shallow and deep keypaths
@@ -149,10 +921,17 @@ module.exports = Backbone.Model.extend({
       return undefined;
     }
 
+    // Virtual attributes are computed (see `virtuals`)
+    var virtuals = _.result(this, 'virtuals') || {};
+    if (_.isFunction(virtuals[attr])) {
+      return virtuals[attr].call(this);
+    }
+
     return this.getDeep(this.attributes, attr);
   },
 
   // Support dot notation of accessing nested keypaths
+  // Keypaths into embedded models are got from the embedded model
   getDeep: function(attrs, attr) {
     var keys = attr.split('.');
     var key;
@@ -168,6 +947,14 @@ module.exports = Backbone.Model.extend({
         context = val;
       }
 
+      // Embedded models get the rest of the keypath themselves
+      // Embedded collections are indexed by model
+      if (val instanceof Backbone.Model) {
+        return val.get(keys.slice(i).join('.'));
+      } else if (val instanceof Backbone.Collection) {
+        val = val.models;
+      }
+
       // get value for key
       val = val[key];
 
@@ -187,20 +974,118 @@ module.exports = Backbone.Model.extend({
     return val;
   },
 
-  // TODO setDeep
+  // Support dot notation of setting nested keypaths
+  // Note: Mutates attrs
+  // Creates intermediate objects (or arrays for numeric keys) if missing
+  setDeep: function(attrs, attr, val) {
+    var keys = attr.split('.');
+    var obj = attrs;
+
+    for (var i = 0, n = keys.length - 1; i < n; i++) {
+      if (!_.isObject(obj[keys[i]])) {
+        obj[keys[i]] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+      }
+      obj = obj[keys[i]];
+    }
+
+    obj[keys[keys.length - 1]] = val;
+    return attrs;
+  },
+
+  // Note: Mutates attrs
+  // Replaces dot notation keypaths in attrs with their top level attribute
+  // The keypath is set deep into the attribute (or a copy of the current one)
+  // Values are validated against the schema type at their keypath
+  // and dropped if invalid, unless strict (see `validateAttributes`)
+  // Returns the keypaths that were set
+  expandKeypaths: function(attrs, schema, errors) {
+    var keypaths = [];
+
+    _.each(_.keys(attrs), function(keypath) {
+      if (keypath.indexOf('.') === -1) {
+        return;
+      }
+
+      var keys = keypath.split('.');
+      var last = keys.pop();
+      var count = errors ? errors.length : 0;
+      var schemaType = _.isObject(schema) ? schemaAt(schema, keypath) : null;
+      var value = {};
+      var valueSchema = {};
+
+      value[last] = attrs[keypath];
+      valueSchema[last] = schemaType;
+      delete attrs[keypath];
+
+      // Anything is allowed inside loosely defined schemas
+      if (!_.isNull(schemaType)) {
+        this.validateAttributes(value, valueSchema, errors, keys.join('.'));
+        if (!_.has(value, last) || (errors && errors.length > count)) {
+          return;
+        }
+      }
+
+      // Embedded models are set as plain objects and embedded again
+      if (!_.has(attrs, keys[0])) {
+        attrs[keys[0]] = serialize(this.attributes[keys[0]], 'toJSON');
+      }
+      this.setDeep(attrs, keypath, value[last]);
+      keypaths.push(keypath);
+    }, this);
+
+    return keypaths;
+  },
 
   // Note: Mutates attrs
   // Verifies that all attr keys are defined in the schema
   // If an attr does not have a corresponding schema, it is removed
-  validateAttributes: function(attrs, schema) {
+  //
+  // A schema type may also be a descriptor with constraints
+  // Ex: `{type: 'string', required: true, enum: [...], maxLength: 64}`
+  // Supported constraints are `required`, `enum`, `min`, `max`,
+  // `minLength`, `maxLength`, `pattern` and `validate`
+  //
+  // A schema type may also be a model or a collection class
+  // Objects and arrays of objects are set as embedded instances
+  // Ex: `{address: Address, items: Items}`
+  //
+  // If an `errors` array is passed, validation is strict:
+  // invalid values are left untouched and a failure is pushed for each
+  // as `{keypath, rule, expected, received, message}`
+  // Otherwise invalid values are removed (or set to `null` inside arrays)
+  //
+  // `keypath` is the dot notation path of `attrs` when recursing
+  // Returns `errors`
+  validateAttributes: function(attrs, schema, errors, keypath) {
+    var strict = _.isArray(errors);
+
     if (!_.isObject(attrs) || _.isUndefined(schema) || _.isNull(schema)) {
-      return;
+      return errors;
     }
 
     _.each(attrs, function(val, key) {
       var isValid = false;
-      // schema might be either an object or a string
-      var schemaType = _.isObject(schema) ? schema[key] : schema;
+      // schema might be either an object, a descriptor or a string
+      var schemaType = _.isObject(schema) && !isDescriptor(schema) ? schema[key] : schema;
+      // dot notation keypath of this attribute
+      var path = keypath ? keypath + '.' + key : String(key);
+      // descriptor constraints
+      var rules = {};
+      var failed;
+
+      // Invalid value for schema type or constraint
+      // Strict mode records a failure and leaves the value untouched
+      // Array elements default to `null` if invalid
+      // Other keys are deleted
+      var invalidate = function(rule, expected, message) {
+        if (strict) {
+          errors.push(failure(path, rule, expected, attrs[key], message));
+        } else if (_.isArray(attrs)) {
+          attrs[key] = null;
+        } else {
+          delete attrs[key];
+        }
+      };
 
       // if the schema for this key does not exist
       // remove it as a property completely
@@ -209,118 +1094,258 @@ module.exports = Backbone.Model.extend({
         return;
       }
 
-      // Allow the use of `null` to unset
+      // Descriptor with constraints
+      // Ex: {type: 'string', maxLength: 64}
+      if (isDescriptor(schemaType)) {
+        rules = schemaType;
+        schemaType = rules.type;
+      }
+
+      // Allow the use of `null` to unset, unless required
       if (_.isNull(val) || _.isUndefined(val)) {
+        if (rules.required) {
+          return invalidate('required', schemaType, 'is required');
+        }
         attrs[key] = null;
         return;
       }
 
-      // Objects and Arrays
-      if (_.isArray(schemaType)) {
-        // Empty array is a loosely defined schema, no-op
-        // That means allow anything inside
-        // Ex: []
-        if (!schemaType.length) {
-          return;
+      // Embedded models and collections, Arrays and Objects
+      if (isEmbedded(schemaType)) {
+        var count = strict ? errors.length : 0;
+        val = embed(schemaType, val, errors, path);
+        if (_.isUndefined(val)) {
+          // Strict failures inside the embedded model are already pushed
+          if (strict && errors.length > count) {
+            return;
+          }
+          return invalidate('type', schemaType, 'must be of type `' + typeName(schemaType) + '`');
         }
-
-        // The schema type is defined by the first element in the array
-        schemaType = schemaType[0];
-
-        // Array with an empty object, no-op
-        // Ex. [{}]
-        if (_.isObject(schemaType) && _.isEmpty(schemaType)) {
-          return;
+        isValid = true;
+      } else if (_.isArray(schemaType)) {
+        // Strict mode requires an actual array
+        if (strict && !_.isArray(val)) {
+          return invalidate('type', schemaType, 'must be of type `array`');
         }
 
-        // Iteratively recursively validate inside each object in the array
-        // Ex. [{...}]
-        if (_.isObject(schemaType)) {
-          _.each(val, function(arrVal) {
-            this.validateAttributes(arrVal, schemaType);
-          }, this);
-          return;
+        // The schema type is defined by the first element in the array
+        // Empty array is a loosely defined schema, no-op
+        // That means allow anything inside
+        // Ex: []
+        var arrSchemaType = schemaType[0];
+
+        if (_.isPlainObject(arrSchemaType) && !isDescriptor(arrSchemaType)) {
+          // Iteratively recursively validate inside each object in the array
+          // Array with an empty object, no-op
+          // Ex. [{...}] or [{}]
+          if (!_.isEmpty(arrSchemaType)) {
+            _.each(val, function(arrVal, i) {
+              if (strict && (!_.isObject(arrVal) || _.isArray(arrVal))) {
+                errors.push(failure(path + '.' + i, 'type', arrSchemaType, arrVal, 'must be of type `object`'));
+                return;
+              }
+              this.validateAttributes(arrVal, arrSchemaType, errors, path + '.' + i);
+            }, this);
+          }
+        } else if (schemaType.length) {
+          // Recursively validate the array
+          // Ex: ['string'] or ['integer'] or [{type: 'string', enum: [...]}]
+          this.validateAttributes(val, arrSchemaType, errors, path);
         }
-
-        // Recursively validate the array
-        // Ex: ['string'] or ['integer']
-        return this.validateAttributes(val, schemaType);
+        isValid = true;
       } else if (_.isObject(schemaType)) {
-        // Empty object is a loosely defined schema, no-op
-        // That means allow anything inside
-        // Ex: {}
-        if (_.isEmpty(schemaType)) {
-          return;
+        // Strict mode requires an actual object
+        if (strict && (!_.isObject(val) || _.isArray(val))) {
+          return invalidate('type', schemaType, 'must be of type `object`');
         }
 
-        // Recursively validate the object
+        // Empty object is a loosely defined schema, allow anything inside
+        // Ex: {}
+        // Otherwise recursively validate the object
         // Ex: {...}
-        return this.validateAttributes(val, schemaType);
-      }
-
-      // All other types are defined as a string
-      switch (schemaType) {
-        case 'id':
-          isValid = _.isObjectId(val);
-          break;
-        case 'string':
-          isValid = _.isString(val);
-          break;
-        case 'integer':
-          // coerce value into integer
-          attrs[key] = val = _.parseInt(val) || 0;
-          isValid = _.isNumber(val) && !_.isNaN(val);
-          break;
-        case 'uinteger':
-          // coerce value into integer
-          attrs[key] = val = _.parseInt(val) || 0;
-          isValid = _.isNumber(val) && !_.isNaN(val) && val >= 0;
-          break;
-        case 'float':
-          // coerce value into float
-          attrs[key] = val = parseFloat(val) || 0;
-          isValid = _.isNumber(val) && !_.isNaN(val);
-          break;
-        case 'ufloat':
-          // coerce value into float
-          attrs[key] = val = parseFloat(val) || 0;
-          isValid = _.isNumber(val) && !_.isNaN(val) && val >= 0;
-          break;
-        case 'boolean':
-          // coerce value into a boolean
-          attrs[key] = val = !!val;
-          isValid = _.isBoolean(val);
-          break;
-        case 'timestamp':
-          isValid = _.isTimestamp(val);
-          break;
-        case 'date':
-          // Also support ISO8601 strings, convert to date
-          if (_.isString(val) && _.isValidISO8601String(val)) {
-            attrs[key] = val = new Date(val);
-          }
-          isValid = _.isDate(val);
-          break;
-        default:
-          isValid = false;
-          break;
+        if (!_.isEmpty(schemaType)) {
+          this.validateAttributes(val, schemaType, errors, path);
+        }
+        isValid = true;
+      } else {
+        // All other types are defined as a string
+        // `ref:<urlRoot>` is switched on as `ref`
+        // Coerced values are only assigned back if valid
+        switch (String(schemaType).split(':')[0]) {
+          case 'id':
+            isValid = _.isObjectId(val);
+            break;
+          case 'string':
+            isValid = _.isString(val);
+            break;
+          case 'integer':
+            // coerce value into integer
+            val = coerceNumber(val, _.parseInt, strict);
+            isValid = _.isNumber(val) && !_.isNaN(val);
+            break;
+          case 'uinteger':
+            // coerce value into integer
+            val = coerceNumber(val, _.parseInt, strict);
+            isValid = _.isNumber(val) && !_.isNaN(val) && val >= 0;
+            break;
+          case 'float':
+            // coerce value into float
+            val = coerceNumber(val, parseFloat, strict);
+            isValid = _.isNumber(val) && !_.isNaN(val);
+            break;
+          case 'ufloat':
+            // coerce value into float
+            val = coerceNumber(val, parseFloat, strict);
+            isValid = _.isNumber(val) && !_.isNaN(val) && val >= 0;
+            break;
+          case 'boolean':
+            // coerce value into a boolean
+            // strict mode only coerces `1`, `0`, `'1'`, `'0'`, `'true'` and `'false'`
+            if (!strict) {
+              val = !!val;
+            } else if (_.contains([1, '1', 'true'], val)) {
+              val = true;
+            } else if (_.contains([0, '0', 'false'], val)) {
+              val = false;
+            }
+            isValid = _.isBoolean(val);
+            break;
+          case 'timestamp':
+            isValid = _.isTimestamp(val);
+            break;
+          case 'date':
+            // Also support ISO8601 strings, convert to date
+            if (_.isString(val) && _.isValidISO8601String(val)) {
+              val = new Date(val);
+            }
+            isValid = _.isDate(val);
+            break;
+          case 'email':
+            // sanitize before validating
+            if (_.isString(val)) {
+              val = _.sanitizeEmail(val);
+            }
+            isValid = _.isValidEmail(val);
+            break;
+          case 'uuid':
+            isValid = _.isString(val) && _.isUUID(val);
+            break;
+          case 'url':
+            isValid = _.isValidURL(val);
+            break;
+          case 'enum':
+            // membership is checked by the `enum` constraint
+            isValid = _.isArray(rules.enum) && (_.isString(val) || _.isNumber(val));
+            break;
+          case 'money':
+            // strings are dollars, coerce into integer cents
+            // numbers are already integer cents
+            // strict mode rejects fractions of cents, Ex: '12.505'
+            var dollars = _.isString(val) ? val.replace(/[$,\s]/g, '') : null;
+            if (_.isString(val) && _.isFinite(dollars)) {
+              val = strict && !/^-?\d*(\.\d{0,2})?$/.test(dollars) ? NaN : _.dollarsToCents(val);
+            }
+            isValid = _.isNumber(val) && val % 1 === 0;
+            break;
+          case 'ref':
+            // ObjectId hex string of a document in another collection
+            // Ex: 'ref:users'
+            if (val && _.isFunction(val.toHexString)) {
+              val = val.toHexString();
+            }
+            isValid = _.isString(val) && _.isObjectId(val);
+            break;
+          case 'geopoint':
+            // GeoJSON Point, also accepts a `[lng, lat]` array
+            val = coerceGeoPoint(val);
+            isValid = !_.isUndefined(val);
+            break;
+          default:
+            isValid = false;
+            break;
+        }
       }
 
-      // Invalid value for schema type
-      // Array elements default to `null` if invalid
-      // Other keys are deleted
       if (!isValid) {
-        if (_.isArray(attrs)) {
-          attrs[key] = null;
-        } else {
-          delete attrs[key];
+        return invalidate('type', schemaType, 'must be of type `' + schemaType + '`');
+      }
+
+      // Values are valid for their type, check constraints
+      failed = checkConstraints(val, rules, this);
+      if (failed) {
+        return invalidate(failed[0], schemaType, failed[1]);
+      }
+
+      attrs[key] = val;
+    }, this);
+
+    return errors;
+  },
+
+  // Verifies that all `required` attributes in the schema are present
+  // Recurses into nested objects and arrays of objects that are present
+  // `validateAttributes` only checks attributes that are being set
+  // Returns `errors`
+  validateRequired: function(attrs, schema, errors, keypath) {
+    if (!_.isObject(attrs) || !_.isPlainObject(schema) || isDescriptor(schema)) {
+      return errors;
+    }
+
+    _.each(schema, function(schemaType, key) {
+      var val = attrs[key];
+      var path = keypath ? keypath + '.' + key : String(key);
+      var rules = {};
+
+      if (isDescriptor(schemaType)) {
+        rules = schemaType;
+        schemaType = rules.type;
+      }
+      if (isEmbedded(schemaType)) {
+        schemaType = embeddedSchema(schemaType);
+      }
+
+      if (_.isNull(val) || _.isUndefined(val)) {
+        if (rules.required) {
+          errors.push(failure(path, 'required', schemaType, val, 'is required'));
         }
+        return;
+      }
+
+      if (_.isArray(schemaType) && _.isArray(val)) {
+        _.each(val, function(arrVal, i) {
+          this.validateRequired(arrVal, schemaType[0], errors, path + '.' + i);
+        }, this);
+      } else if (_.isPlainObject(schemaType)) {
+        this.validateRequired(val, schemaType, errors, path);
       }
     }, this);
+
+    return errors;
+  },
+
+  // Called by Backbone before `save` (and `set` with `validate: true`)
+  // Returns a `ValidationError` if any `required` attribute is missing
+  // If `strictValidation`, also when any attribute is invalid for the schema
+  validate: function(attrs, options) {
+    var schema = _.result(this, 'combinedSchema');
+    var errors = [];
+    if (this.strictValidation) {
+      this.validateAttributes(serialize(attrs, 'toJSON'), schema, errors);
+    }
+    this.validateRequired(serialize(attrs, 'toJSON'), schema, errors);
+
+    // Missing attributes might have already failed strict validation
+    errors = _.uniq(errors, function(error) {
+      return error.keypath + ':' + error.rule;
+    });
+    if (errors.length) {
+      return new BootieError.ValidationError(errors);
+    }
   },
 
   // Removes attributes
-  // Does not work for objects embedded inside arrays
+  // Also from each object inside arrays
+  // Ex: `{items: {cost: true}}` removes `cost` from every item
   removeAttributes: function(attrs, options) {
     _.each(attrs, function(val, key) {
       // shouldRemove is either an object or a boolean
@@ -329,8 +1354,18 @@ module.exports = Backbone.Model.extend({
         return;
       }
 
+      // Support objects nested inside arrays
+      if (_.isArray(val) && _.isObject(shouldRemove)) {
+        _.each(val, function(arrVal) {
+          if (_.isObject(arrVal)) {
+            this.removeAttributes(arrVal, shouldRemove);
+          }
+        }, this);
+        return;
+      }
+
       // Support nested object
-      if (_.isObject(val) && !_.isArray(val)) {
+      if (_.isObject(val) && !_.isArray(val) && _.isObject(shouldRemove)) {
         return this.removeAttributes(val, shouldRemove);
       }
 
@@ -340,24 +1375,179 @@ module.exports = Backbone.Model.extend({
     }, this);
   },
 
+  // Resolves the roles of a user for `attributePolicies`
+  // Reads `roles` (or `role`) of a user model or object
+  // Override to resolve roles differently
+  // Returns an array of role names
+  resolveRoles: function(user) {
+    if (!user) {
+      return [];
+    }
+
+    var roles = _.isFunction(user.get) ?
+      user.get('roles') || user.get('role') :
+      user.roles || user.role;
+    return _.compact(_.flatten([roles]));
+  },
+
+  // Attributes that the roles of `this.user` may not `read` or `write`
+  // (see `attributePolicies`) in the format of `hiddenAttributes`
+  restrictedAttributes: function(access) {
+    var policies = _.result(this, 'attributePolicies') || {};
+    var roles = this.resolveRoles(this.user);
+
+    return keypathMask(_.filter(_.keys(policies), function(keypath) {
+      var allowed = policies[keypath][access];
+      return _.isArray(allowed) && !_.intersection(roles, allowed).length;
+    }));
+  },
+
   // Override backbone's `toJSON` to support `cloneDeep`
+  // Embedded models and collections are serialized with their `toJSON`
   toJSON: function(options) {
-    var json = _.cloneDeep(this.attributes);
+    var json = serialize(this.attributes, 'toJSON');
     return json;
   },
 
   // Convert attributes into a pojo,
   // then remove attributes that should be hidden
-  render: function() {
-    var json = this.toJSON();
+  // Embedded models and collections are rendered with their `render`,
+  // so their own `hiddenAttributes` are removed too
+  // Virtual attributes are rendered unless `options.virtuals` is `false`
+  // or an array of the virtuals to render
+  // Renders a named view if `view` (see `views`)
+  render: function(view, options) {
+    if (!_.isString(view)) {
+      if (_.isObject(view)) {
+        options = view;
+      }
+      view = null;
+    }
+    options = options || {};
+    var json = serialize(this.attributes, 'render');
+
+    // Virtual attributes
+    var virtuals = _.result(this, 'virtuals') || {};
+    var names = _.keys(virtuals);
+    if (_.isArray(options.virtuals)) {
+      names = _.intersection(names, options.virtuals);
+    } else if (options.virtuals === false) {
+      names = [];
+    }
+    if (_.isArray(options.fields)) {
+      names = _.intersection(names, options.fields);
+    }
+    _.each(names, function(name) {
+      json[name] = this.get(name);
+    }, this);
+
     var hiddenAttributes = _.result(this, 'hiddenAttributes');
     this.removeAttributes(json, hiddenAttributes);
+    this.removeAttributes(json, this.restrictedAttributes('read'));
+
+    // Sparse fieldset, Ex: `['name', 'items.sku']` (see `buildProjection`)
+    // The id is always rendered, so that models can be told apart
+    if (_.isArray(options.fields)) {
+      json = pickAttributes(json, keypathMask(_.union(options.fields, [this.idAttribute])));
+    }
+
+    // Populated relations
+    _.each(this.related, function(related, name) {
+      if (_.isArray(related)) {
+        json[name] = _.invoke(related, 'render');
+      } else {
+        json[name] = related ? related.render() : null;
+      }
+    });
+
+    if (view) {
+      return this.renderView(json, view);
+    }
     return json;
   },
 
+  // Applies a named view (see `views`) to rendered attributes
+  // Throws a 400 if there is no such view
+  renderView: function(json, name) {
+    var views = _.result(this, 'views') || {};
+    var view = views[name];
+    if (!view) {
+      var err = new Error('Unknown view `' + name + '`.');
+      err.code = 400;
+      throw err;
+    }
+
+    if (_.isFunction(view)) {
+      return view.call(this, json);
+    } else if (_.isArray(view)) {
+      view = keypathMask(view);
+    }
+    return pickAttributes(json, view);
+  },
+
   // Alias for `render`
-  toResponse: function() {
-    return this.render();
+  toResponse: function(view, options) {
+    return this.render(view, options);
+  },
+
+  // Builds a mongodb projection of the `fields` keypaths to fetch
+  // Virtuals are left out, the id, version and `projectionAttributes`
+  // are always fetched
+  // Ex: `['name', 'items.sku']` is `{_id: 1, name: 1, 'items.sku': 1}`
+  buildProjection: function(fields) {
+    var virtuals = _.keys(_.result(this, 'virtuals'));
+    var keypaths = _.difference(_.union(
+      fields,
+      _.result(this, 'projectionAttributes') || [],
+      _.compact([this.idAttribute, this.versionAttribute])
+    ), virtuals);
+
+    // Keypaths inside another one would collide
+    var projection = {};
+    _.each(keypaths, function(keypath) {
+      var isNested = _.some(keypaths, function(other) {
+        return keypath.indexOf(other + '.') === 0;
+      });
+      if (!isNested) {
+        projection[keypath] = 1;
+      }
+    });
+    return projection;
+  },
+
+  // Converts `combinedSchema` to a draft-07 JSON Schema
+  // `combinedDefaults` are the `default` values, `hiddenAttributes` are
+  // `writeOnly` and `readOnlyAttributes` (and attributes that are never
+  // set from a request, Ex: the version) are `readOnly`
+  // Virtual attributes are `readOnly` properties without a type
+  toJSONSchema: function() {
+    var readOnly = _.cloneDeep(_.result(this, 'readOnlyAttributes')) || {};
+    _.each(_.compact([
+      this.versionAttribute,
+      this.timestamps && 'created',
+      this.timestamps && 'updated',
+      this.softDelete && 'deleted'
+    ]), function(key) {
+      readOnly[key] = true;
+    });
+
+    var json = _.extend({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: this.urlRoot
+    }, toJSONSchema(
+      _.result(this, 'combinedSchema') || {},
+      _.result(this, 'combinedDefaults'),
+      _.result(this, 'hiddenAttributes'),
+      readOnly
+    ));
+
+    _.each(_.result(this, 'virtuals'), function(fn, key) {
+      json.properties = json.properties || {};
+      json.properties[key] = {
+        readOnly: true
+      };
+    });
+    return json;
   },
 
 
@@ -365,19 +1555,53 @@ module.exports = Backbone.Model.extend({
   // Used to set attributes from a request body
   // Assume `this.attributes` is populated with existing data
   setFromRequest: Promise.method(function(body) {
-    body = _.mergeSafe(body, this.attributes);
+    // Expand dot notation keypaths first, so they are masked below
+    // Ex: `{'billing.card': 1}` is `{billing: {card: 1}}`
+    _.each(_.keys(body), function(keypath) {
+      if (keypath.indexOf('.') === -1) {
+        return;
+      }
+      var val = body[keypath];
+      delete body[keypath];
+      this.setDeep(body, keypath, val);
+    }, this);
+
+    body = _.mergeSafe(body, this.toJSON());
 
     // Remove read only attributes
     var readOnlyAttributes = _.result(this, 'readOnlyAttributes');
     this.removeAttributes(body, readOnlyAttributes);
+    this.removeAttributes(body, this.restrictedAttributes('write'));
+
+    // The version is never set from a request
+    if (this.versionAttribute) {
+      delete body[this.versionAttribute];
+    }
+
+    // Neither are timestamps
+    if (this.timestamps) {
+      delete body.created;
+      delete body.updated;
+    }
+    if (this.softDelete) {
+      delete body.deleted;
+    }
+
+    // Or `sequence` numbers
+    _.each(this.sequenceAttributes(), function(descriptor, key) {
+      delete body[key];
+    });
 
     // Set new attributes
-    this.set(body);
+    // Reject with a `ValidationError` if strict and any are invalid
+    if (this.set(body, {strict: this.strictValidation}) === false) {
+      throw this.validationError;
+    }
 
     // At this point, we take a snapshot of the changed attributes
     // A copy of the `changed` attributes right after the request body is set
-    this.changedFromRequest = _.cloneDeep(this.changed);
-    this.previousFromRequest = _.cloneDeep(this.previousAttributes());
+    this.changedFromRequest = serialize(this.changed, 'toJSON');
+    this.previousFromRequest = serialize(this.previousAttributes(), 'toJSON');
 
     return this;
   }),
@@ -448,6 +1672,9 @@ module.exports = Backbone.Model.extend({
       return this.beforeFetch.apply(this, originalArguments);
     }).then(function() {
       return Backbone.Model.prototype.fetch.apply(this, originalArguments);
+    }).then(function() {
+      // Attributes are now in sync
+      this.snapshot();
     }).then(function() {
       return this.afterFetch.apply(this, originalArguments);
     }).catch(function(err) {
@@ -462,8 +1689,9 @@ module.exports = Backbone.Model.extend({
   save: Promise.method(function() {
     var originalArguments = arguments;
 
+    var isNew = this.isNew();
     var beforeFn, afterFn;
-    if (this.isNew()) {
+    if (isNew) {
       beforeFn = this.beforeCreate;
       afterFn = this.afterCreate;
     } else {
@@ -476,11 +1704,19 @@ module.exports = Backbone.Model.extend({
     }).then(function() {
       return this.beforeSave.apply(this, originalArguments);
     }).then(function() {
+      this.touch(isNew);
       var op = Backbone.Model.prototype.save.apply(this, originalArguments);
       if (!op) {
         return Promise.reject(this.validationError);
       }
       return op;
+    }).then(function() {
+      if (this.audit) {
+        return this.writeHistory(isNew ? 'create' : 'update');
+      }
+    }).then(function() {
+      // Attributes are now in sync
+      this.snapshot();
     }).then(function() {
       return afterFn.apply(this, originalArguments);
     }).then(function() {
@@ -488,14 +1724,258 @@ module.exports = Backbone.Model.extend({
     });
   }),
 
+  // Writes a history record after a successful delete if `audit`
+  destroy: Promise.method(function() {
+    var previous = this.toJSON();
+
+    return Promise.resolve(
+      Backbone.Model.prototype.destroy.apply(this, arguments)
+    ).bind(this).tap(function(resp) {
+      if (this.audit && resp) {
+        return this.writeHistory('delete', previous, {});
+      }
+    });
+  }),
+
+  // The collection of history records (see `audit`)
+  historyUrlRoot: function() {
+    return this.urlRoot + '_history';
+  },
+
+  // Writes a history record of a write to `historyUrlRoot`
+  // `action` is either `create`, `update`, `delete` or `restore`
+  // `previous` and `changed` default to the attributes changed by the
+  // last `setFromRequest`, or else since the last sync (see `snapshot`)
+  // `encrypted` attributes stay encrypted in the history
+  //
+  // Record format:
+  // `{document_id, action, previous, changed, user_id, created}`
+  writeHistory: Promise.method(function(action, previous, changed) {
+    if (!previous || !changed) {
+      if (action === 'create') {
+        previous = {};
+        changed = this.toJSON();
+      } else if (!_.isEmpty(this.changedFromRequest)) {
+        previous = _.pick(this.previousFromRequest, _.keys(this.changedFromRequest));
+        changed = this.changedFromRequest;
+      } else {
+        var json = this.toJSON();
+        var synced = this.syncedAttributes || {};
+        var keys = _.filter(_.union(_.keys(synced), _.keys(json)), function(key) {
+          return !_.isEqual(synced[key], json[key]);
+        });
+        previous = _.pick(synced, keys);
+        changed = _.pick(json, keys);
+      }
+    }
+
+    var user = this.user;
+    var userId = null;
+    if (user) {
+      userId = _.isFunction(user.get) ? user.id : user._id || user.id || null;
+    }
+
+    var record = {
+      document_id: this.id,
+      action: action,
+      previous: this.encryptAttributes(_.cloneDeep(previous)),
+      changed: this.encryptAttributes(_.cloneDeep(changed)),
+      user_id: userId,
+      created: this.timestamps === 'date' ? new Date() : Date.now()
+    };
+
+    console.info('Model [%s] history %s of: %s',
+      this.urlRoot, action, JSON.stringify(this.id));
+    return this.db.insert(_.result(this, 'historyUrlRoot'), record);
+  }),
+
+  // Finds the history records of this model, newest first
+  // `options` may contain `limit` and `skip`
+  // Attributes are decrypted and hidden ones are removed, like `render`
+  fetchHistory: Promise.method(function(options) {
+    options = options || {};
+
+    if (this.isNew()) {
+      throw new Error('No ID for Model');
+    }
+
+    var mongoOptions = _.extend({
+      sort: [
+        ['created', 'desc']
+      ]
+    }, _.pick(options, ['limit', 'skip']));
+
+    return this.db.find(
+      _.result(this, 'historyUrlRoot'), {
+        document_id: this.id
+      },
+      mongoOptions
+    ).bind(this).then(function(resp) {
+      var hiddenAttributes = _.result(this, 'hiddenAttributes');
+      var restrictedAttributes = this.restrictedAttributes('read');
+
+      return _.map(resp[0], function(record) {
+        _.each(['previous', 'changed'], function(key) {
+          record[key] = this.decryptAttributes(record[key] || {});
+          this.removeAttributes(record[key], hiddenAttributes);
+          this.removeAttributes(record[key], restrictedAttributes);
+        }, this);
+        return record;
+      }, this);
+    });
+  }),
+
+  // Populates relations of this model (see `populateModels`)
+  populate: Promise.method(function(paths) {
+    return this.populateModels([this], paths).return(this);
+  }),
+
+  // Populates relations of many models of this class at once
+  // Each relation is loaded with one `$in` query, not one query per model
+  // `paths` is an array of relation names, Ex: `['user', 'items.product']`
+  // Sets `related[name]` of each model to a model, `null`
+  // or an array of models for `hasMany`
+  populateModels: Promise.method(function(models, paths) {
+    var grouped = groupRelationPaths(this, paths);
+    var relations = _.result(this, 'relations');
+
+    return Promise.all(_.map(grouped, function(subpaths, name) {
+      return this.populateRelation(models, name, relations[name]).then(function(related) {
+        // Nested relations
+        if (subpaths.length && related.length) {
+          return related[0].populateModels(related, subpaths);
+        }
+      });
+    }, this)).return(models);
+  }),
+
+  // Loads one relation of `models`, resolves all related models
+  populateRelation: Promise.method(function(models, name, relation) {
+    var RelatedModel = relation.model;
+    var proto = RelatedModel.prototype;
+
+    // The attribute of the models and of the related models that match
+    var belongsTo = relation.type === 'belongsTo';
+    var localKey = belongsTo ? relation.foreignKey : this.idAttribute;
+    var relatedKey = belongsTo ? proto.idAttribute : relation.foreignKey;
+
+    var ids = _.uniq(_.compact(_.map(models, function(model) {
+      return model.get(localKey);
+    })), String);
+
+    var op;
+    if (ids.length) {
+      var query = {};
+      query[relatedKey] = {
+        '$in': ids
+      };
+      proto.addDeletedToQuery(query);
+
+      console.info('Model [%s] populate `%s` with query: %s',
+        this.urlRoot, name, JSON.stringify(query));
+      op = this.db.find(proto.urlRoot, query, {});
+    } else {
+      op = Promise.resolve([[]]);
+    }
+
+    return op.bind(this).then(function(resp) {
+      var related = _.map(resp[0], function(doc) {
+        var model = new RelatedModel(doc, {
+          parse: true,
+          db: this.db
+        });
+        model.cache = this.cache;
+        model.user = this.user;
+        return model;
+      }, this);
+
+      var byKey = _.groupBy(related, function(model) {
+        return String(model.get(relatedKey));
+      });
+      _.each(models, function(model) {
+        var matches = byKey[String(model.get(localKey))] || [];
+        model.related[name] = relation.type === 'hasMany' ? matches : matches[0] || null;
+      });
+
+      return related;
+    });
+  }),
+
+  // Sets `updated`, and `created` if new, to now (see `timestamps`)
+  // Called by `save` right before the write
+  touch: function(isNew) {
+    if (!this.timestamps) {
+      return this;
+    }
+
+    var now = Date.now();
+    var attrs = {
+      updated: this.timestamps === 'date' ? new Date(now) : now
+    };
+    if (isNew) {
+      attrs.created = this.timestamps === 'date' ? new Date(now) : now;
+    }
+
+    return this.set(attrs);
+  },
+
   // Inserts a mongodb document
   create: Promise.method(function(model, options) {
     console.info('Model [%s] create called', this.urlRoot);
-    return this.db.insert(
-      this.urlRoot,
-      model.toJSON(),
-      this.wrapResponse(options)
-    ).return(this);
+
+    // Versions start at 1
+    var attrs = model.toJSON();
+    if (this.versionAttribute) {
+      attrs[this.versionAttribute] = 1;
+    }
+
+    return this.nextSequences(attrs).bind(this).then(function() {
+      return this.db.insert(
+        this.urlRoot,
+        this.encryptAttributes(attrs),
+        this.wrapResponse(options)
+      );
+    }).return(this);
+  }),
+
+  // Top level attributes with a `sequence` descriptor
+  // Ex: `{order_number: {type: 'uinteger', sequence: 'order_number'}}`
+  sequenceAttributes: function() {
+    var schema = _.result(this, 'combinedSchema');
+    return _.pick(schema, function(schemaType) {
+      return isDescriptor(schemaType) && !!schemaType.sequence;
+    });
+  },
+
+  // Fills `sequence` attributes missing from `attrs` with the next number
+  // of their counter, which is created on first use
+  // `perUser` sequences have a counter per `userIdAttribute`
+  // Note: Mutates attrs
+  nextSequences: Promise.method(function(attrs) {
+    return Promise.all(_.map(this.sequenceAttributes(), function(descriptor, key) {
+      if (!_.isNull(attrs[key]) && !_.isUndefined(attrs[key])) {
+        return;
+      }
+
+      var counterId = descriptor.sequence;
+      if (descriptor.perUser) {
+        var userId = attrs[this.userIdAttribute];
+        if (!userId) {
+          var err = new Error('Missing `' + this.userIdAttribute + '` for sequence `' + key + '`.');
+          err.code = 400;
+          throw err;
+        }
+        counterId += ':' + userId;
+      }
+
+      return this.db.getNextSequence(this.countersUrlRoot, {
+        _id: counterId
+      }, {
+        upsert: true
+      }).then(function(seq) {
+        attrs[key] = seq;
+      });
+    }, this)).return(attrs);
   }),
 
   // Updates a mongodb document
@@ -515,20 +1995,35 @@ module.exports = Backbone.Model.extend({
       query[this.userIdAttribute] = model.get(this.userIdAttribute);
     }
 
+    // Replace the document with the next version
+    var attrs = this.encryptAttributes(model.toJSON());
+    if (this.versionAttribute) {
+      this.addVersionToQuery(query, model);
+      attrs[this.versionAttribute] = (model.get(this.versionAttribute) || 0) + 1;
+    }
+
+    // Versioned writes check `require` themselves (see `checkVersion`)
     var mongoOptions = _.pick(options, ['require']) || {};
+    var require = mongoOptions.require;
+    if (this.versionAttribute) {
+      delete mongoOptions.require;
+    }
+
     console.info('Model [%s] update with query: %s',
       this.urlRoot, JSON.stringify(query));
     return this.db.findAndModify(
       this.urlRoot,
       query,
-      model.toJSON(),
-      mongoOptions,
-      this.wrapResponse(options)
-    ).return(this);
+      attrs,
+      mongoOptions
+    ).bind(this).then(function(doc) {
+      return this.checkVersion(query, doc, require);
+    }).nodeify(this.wrapResponse(options)).return(this);
   }),
 
   // Updates a mongodb document
-  // NOTE: This sets only explicitly provided model attributes
+  // NOTE: This sets only explicitly provided model attributes,
+  // or only the keypaths that changed since the last sync (see `snapshot`)
   patch: Promise.method(function(model, options) {
     // If no ID in query, error out
     if (model.isNew()) {
@@ -545,27 +2040,90 @@ module.exports = Backbone.Model.extend({
     }
 
     // Patch attributes with mongodb set
-    var attrs = model.toJSON();
-    delete attrs[this.idAttribute];
+    // The version is only ever incremented
+    var omitted = _.compact([this.idAttribute, this.versionAttribute]);
+    var json = model.toJSON();
+    var attrs = _.omit(json, omitted);
+    var obj = {};
+
+    if (model.syncedAttributes) {
+      // Only patch keypaths that changed since the last sync
+      // Attributes that were set to `null` or removed are unset
+      // Ex: `{'$set': {'shipping.address.city': 'SF'}, '$unset': {'notes': ''}}`
+      obj = diffAttributes(_.omit(model.syncedAttributes, omitted), attrs);
+    } else {
+      // Attributes that were only set by dot notation keypaths
+      // since the last sync are patched by keypath
+      // Ex: `{'$set': {'shipping.address.city': 'SF'}}`
+      _.each(model.changedKeypaths, function(changed, keypath) {
+        var keys = keypath.split('.');
+        if (keys.length > 1) {
+          delete attrs[keys[0]];
+          attrs[keypath] = model.getDeep(json, keypath);
+        }
+      });
 
-    // Use mongodb set to only update explicit attributes using `$set`
-    var obj = {
-      '$set': attrs
-    };
+      // Use mongodb set to only update explicit attributes using `$set`
+      obj['$set'] = attrs;
+    }
+
+    // Encrypt `encrypted` attributes that changed
+    if (obj['$set']) {
+      this.encryptAttributes(obj['$set']);
+    }
 
+    // Nothing changed, just read the document
+    // A stale version still conflicts (see `checkVersion`)
+    if (_.isEmpty(obj)) {
+      return Promise.bind(this).then(function() {
+        if (!this.versionAttribute) {
+          return;
+        }
+        var versionQuery = this.addVersionToQuery(_.clone(query), model);
+        return this.db.findOne(
+          this.urlRoot,
+          versionQuery
+        ).bind(this).then(function(doc) {
+          return this.checkVersion(versionQuery, doc);
+        }).catch(function(err) {
+          options.error(err);
+          throw err;
+        });
+      }).then(function() {
+        return this.read(model, _.extend({}, options, {
+          query: query
+        }));
+      });
+    }
+
+    // Increment the version
+    if (this.versionAttribute) {
+      this.addVersionToQuery(query, model);
+      obj['$inc'] = {};
+      obj['$inc'][this.versionAttribute] = 1;
+    }
+
+    // Versioned writes check `require` themselves (see `checkVersion`)
     var mongoOptions = _.pick(options, ['require']) || {};
+    var require = mongoOptions.require;
+    if (this.versionAttribute) {
+      delete mongoOptions.require;
+    }
+
     console.info('Model [%s] patch with query: %s',
       this.urlRoot, JSON.stringify(query));
     return this.db.findAndModify(
       this.urlRoot,
       query,
       obj,
-      mongoOptions,
-      this.wrapResponse(options)
-    ).return(this);
+      mongoOptions
+    ).bind(this).then(function(doc) {
+      return this.checkVersion(query, doc, require);
+    }).nodeify(this.wrapResponse(options)).return(this);
   }),
 
   // Removes a mongodb document
+  // Or sets its `deleted` timestamp if `softDelete`
   // Must have ID
   delete: Promise.method(function(model, options) {
     // If no ID in query, error out
@@ -576,17 +2134,169 @@ module.exports = Backbone.Model.extend({
     }
 
     // Build query against the model's id
+    // Only match the version of a model that has one (Ex: from `If-Match`)
     var query = {};
     query[this.idAttribute] = model.id;
+    if (this.versionAttribute && _.isNumber(model.get(this.versionAttribute))) {
+      this.addVersionToQuery(query, model);
+    }
 
     console.info('Model [%s] delete with query: %s',
       this.urlRoot, JSON.stringify(query));
 
+    if (this.softDelete) {
+      return this.softDeleteDocument(query).nodeify(this.wrapResponse(options));
+    }
+
     return this.db.remove(
+      this.urlRoot,
+      query
+    ).bind(this).then(function(num) {
+      return this.checkVersion(query, num);
+    }).nodeify(this.wrapResponse(options));
+  }),
+
+  // Sets the `deleted` timestamp of the document matching `query`
+  // Resolves the number of documents deleted like `db.remove`
+  softDeleteDocument: Promise.method(function(query, options) {
+    query = this.addDeletedToQuery(_.clone(query));
+
+    var obj = {
+      '$set': {
+        deleted: this.timestamps === 'date' ? new Date() : Date.now()
+      }
+    };
+    if (this.versionAttribute) {
+      obj['$inc'] = {};
+      obj['$inc'][this.versionAttribute] = 1;
+    }
+
+    return this.db.findAndModify(
       this.urlRoot,
       query,
-      this.wrapResponse(options)
-    );
+      obj
+    ).bind(this).then(function(doc) {
+      return this.checkVersion(query, doc);
+    }).then(function(doc) {
+      return doc ? 1 : 0;
+    });
+  }),
+
+  // Restores a soft deleted mongodb document by unsetting `deleted`
+  // Resolves the restored model, rejects with a 404 if `options.require`
+  // and there is no deleted document
+  restore: Promise.method(function(options) {
+    options = options || {};
+
+    if (!this.softDelete) {
+      throw new Error('Model [' + this.urlRoot + '] does not use `softDelete`.');
+    }
+
+    // If no ID in query, error out
+    if (this.isNew()) {
+      throw new Error('No ID for Model');
+    }
+
+    // Build query against the model's id and only match deleted documents
+    var query = {};
+    query[this.idAttribute] = this.id;
+    if (!!this.get(this.userIdAttribute)) {
+      query[this.userIdAttribute] = this.get(this.userIdAttribute);
+    }
+    query.deleted = {
+      '$ne': null
+    };
+
+    var obj = {
+      '$unset': {
+        deleted: ''
+      }
+    };
+    if (this.versionAttribute) {
+      obj['$inc'] = {};
+      obj['$inc'][this.versionAttribute] = 1;
+    }
+
+    var mongoOptions = _.pick(options, ['require']) || {};
+    console.info('Model [%s] restore with query: %s',
+      this.urlRoot, JSON.stringify(query));
+    return this.db.findAndModify(
+      this.urlRoot,
+      query,
+      obj,
+      mongoOptions
+    ).bind(this).then(function(doc) {
+      if (doc) {
+        this.unset('deleted', {
+          silent: true
+        });
+        this.set(this.parse(doc));
+        this.snapshot();
+        if (this.audit) {
+          return this.writeHistory('restore', {}, {});
+        }
+      }
+    }).then(function() {
+      return this;
+    });
+  }),
+
+  // Excludes soft deleted documents from a read query
+  // Unless `softDelete` is off, the query already filters `deleted`,
+  // or `options.includeDeleted`
+  // Also used by `Collection` for `read` and `count`
+  addDeletedToQuery: function(query, options) {
+    options = options || {};
+    if (!this.softDelete || options.includeDeleted || _.has(query, 'deleted')) {
+      return query;
+    }
+
+    // `null` matches both missing and `null`
+    query.deleted = null;
+    return query;
+  },
+
+  // Adds the version of the model to a write query
+  // A model without a version only matches documents without one
+  addVersionToQuery: function(query, model) {
+    var version = model.get(this.versionAttribute);
+    if (_.isNumber(version)) {
+      query[this.versionAttribute] = version;
+    } else {
+      query[this.versionAttribute] = {
+        '$exists': false
+      };
+    }
+    return query;
+  },
+
+  // Checks the result of a versioned write (see `versionAttribute`)
+  // If nothing matched but the document exists with another version,
+  // it was modified since it was fetched: reject with a 409 `ConflictError`
+  // Otherwise reject with a 404 if `require`
+  checkVersion: Promise.method(function(query, result, require) {
+    if (!this.versionAttribute || result) {
+      return result;
+    }
+
+    return this.db.findOne(
+      this.urlRoot,
+      _.omit(query, this.versionAttribute)
+    ).bind(this).then(function(doc) {
+      if (doc) {
+        throw new BootieError.ConflictError('Document was modified by another request. ' +
+          'Expected `' + this.versionAttribute + '` ' + JSON.stringify(query[this.versionAttribute]) + '.');
+      }
+
+      if (require) {
+        var requireErr = new Error('Document not found for query: ' +
+          JSON.stringify(query) + '.');
+        requireErr.code = 404;
+        throw requireErr;
+      }
+
+      return result;
+    });
   }),
 
   // Finds a single mongodb document
@@ -596,7 +2306,7 @@ module.exports = Backbone.Model.extend({
     var query = {};
     if (_.isObject(options.query)) {
       // Build query
-      query = options.query;
+      query = _.clone(options.query);
     } else {
       if (model.isNew()) {
         // If no ID in query, error out
@@ -612,7 +2322,10 @@ module.exports = Backbone.Model.extend({
       }
     }
 
-    var mongoOptions = _.pick(options, ['require']) || {};
+    // Soft deleted documents are not found
+    this.addDeletedToQuery(query, options);
+
+    var mongoOptions = _.pick(options, ['require', 'fields']) || {};
     console.info('Model [%s] read with query: %s',
       this.urlRoot, JSON.stringify(query));
 
@@ -621,6 +2334,11 @@ module.exports = Backbone.Model.extend({
       query,
       mongoOptions,
       this.wrapResponse(options)
-    ).return(this);
+    ).bind(this).then(function() {
+      // Populate relations (see `populate`)
+      if (!_.isEmpty(options.populate)) {
+        return this.populate(options.populate);
+      }
+    }).return(this);
   })
 });
@@ -8,11 +8,45 @@ var MongoClient = require('mongodb').MongoClient;
 var ObjectId = require('mongodb').ObjectID;
 var moment = require('moment');
 var objectIdHelper = require('mongodb-objectid-helper');
+var BootieError = require('./error');
 
 // The promisified method name will be
 // the original method name suffixed with "Async".
 Promise.promisifyAll(MongoClient);
 
+// Index key directions, used to find the fields of an index by its name
+// Ex: `user_id_1_order_number_-1`
+var indexNamePattern = /(.+?)_(-?1|2dsphere|2d|text|hashed)(?:_|$)/g;
+
+// Converts a duplicate key (E11000) error to a `DuplicateError`
+// with the name and fields of the unique index
+// Other errors are returned as is
+var duplicateKeyError = function(err) {
+  if (!err || (err.code !== 11000 && err.code !== 11001 &&
+    !/^E1100[01] /.test(err.message || err.err))) {
+    return err;
+  }
+
+  // Either `index: test.tests.$email_1 ` or `index: email_1 `
+  var match = /index:\s+(?:\S+\.\$)?(\S+)/.exec(err.message || err.err);
+  var index = match ? match[1] : null;
+
+  var fields = [];
+  if (_.isPlainObject(err.keyPattern)) {
+    fields = _.keys(err.keyPattern);
+  } else if (index === '_id_') {
+    fields = ['_id'];
+  } else if (index) {
+    var field;
+    indexNamePattern.lastIndex = 0;
+    while ((field = indexNamePattern.exec(index))) {
+      fields.push(field[1]);
+    }
+  }
+
+  return new BootieError.DuplicateError(index, fields);
+};
+
 // options are used for mongodb connection options
 var Mongo = module.exports = function(url, options) {
   this.options = options || {};
@@ -41,6 +75,9 @@ var Mongo = module.exports = function(url, options) {
   // Reuseable connection pool, only connect once
   this.db;
   this.url = url || 'mongodb://localhost:27017/test';
+
+  // Keys for `encrypted` model attributes (see `Database`)
+  this.encryption = null;
 };
 
 Mongo.mongodb = mongodb;
@@ -292,7 +329,7 @@ _.extend(Mongo.prototype, {
 
   // Find all docs matching query and turn into an array with total
   // results is either an array of documents or an array of explanations
-  // total is an integer
+  // total is an integer, undefined if `options.count` is false
   // the actual return value is an array in format: [result, total]
   find: Promise.method(function(collectionName, query) {
     var args = [].slice.call(arguments);
@@ -308,6 +345,11 @@ _.extend(Mongo.prototype, {
       options
     ).bind(this).tap(function(cursor) {
       options.cursor = cursor;
+
+      // `options.count` false skips counting the total
+      if (options.count === false) {
+        return;
+      }
       return cursor.countAsync().then(function(count) {
         options.total = count || 0;
       });
@@ -386,6 +428,7 @@ _.extend(Mongo.prototype, {
       callback && callback(null, docs);
       return docs;
     }).catch(function(err) {
+      err = duplicateKeyError(err);
       callback && callback(err);
       throw err;
     });
@@ -431,6 +474,7 @@ _.extend(Mongo.prototype, {
       callback && callback(null, num);
       return num;
     }).catch(function(err) {
+      err = duplicateKeyError(err);
       callback && callback(err);
       throw err;
     });
@@ -477,6 +521,7 @@ _.extend(Mongo.prototype, {
       callback && callback(null, doc);
       return doc;
     }).catch(function(err) {
+      err = duplicateKeyError(err);
       callback && callback(err);
       throw err;
     });
@@ -567,7 +612,7 @@ _.extend(Mongo.prototype, {
     var args = [].slice.call(arguments);
     var callback = _.isFunction(_.last(args)) ? args.pop() : null;
     var options = args.length > 2 && _.isObject(_.last(args)) ? args.pop() : {};
-    options = _.pick(options, ['unique', 'background', 'dropDups', 'w']);
+    options = _.pick(options, ['name', 'unique', 'sparse', 'expireAfterSeconds', 'background', 'dropDups', 'w']);
 
     return this.collection(collectionName).bind(this).then(function(collection) {
       return collection.ensureIndexAsync(index, options);
@@ -0,0 +1,314 @@
+'use strict';
+
+// What is OpenAPI?
+// ---
+
+// Generates an OpenAPI 3 document from the routes of a router
+// (see `Router.addControllerRoutes`)
+//
+// Each route is described by its controller:
+// path parameters, `queryParams`, the `allowedParams`, `requiredParams`
+// and `disallowedParams` of the route and, for crud controllers,
+// request and response bodies derived from the `model` schema
+// (see `Model.toJSONSchema`), wrapped in the `{meta, data}` envelope
+
+// Dependencies
+// ---
+var _ = require('lodash');
+
+// Schemas of `queryParams` types
+var queryParamSchemas = {
+  string: {type: 'string'},
+  regex: {type: 'string'},
+  integer: {type: 'integer'},
+  float: {type: 'number'},
+  boolean: {type: 'boolean'},
+  date: {type: 'string', format: 'date-time'},
+  timestamp: {type: 'integer'},
+  objectid: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'},
+  array: {type: 'string'},
+  exists: {type: 'boolean'}
+};
+
+// Reserved query string params of crud actions that find documents
+// (see `Controller.parseQueryString`)
+var pagingParams = {
+  limit: {type: 'integer', minimum: 0},
+  skip: {type: 'integer', minimum: 0},
+  page: {type: 'integer', minimum: 1}
+};
+// `sort` is a `,` separated list of fields (see `Controller.parseSort`)
+var sortParams = {
+  sort: {
+    type: 'string',
+    description: 'Comma separated fields, a `-` prefix sorts a field descending. Ex: `-created,name`'
+  },
+  order: {type: 'string', enum: ['asc', 'desc', '1', '-1']},
+  logical: {type: 'string', enum: ['and', 'or']}
+};
+
+// Shared component schemas
+var components = {
+  Meta: {
+    type: 'object',
+    properties: {
+      code: {type: 'integer'},
+      paging: {
+        type: 'object',
+        properties: {
+          total: {type: 'integer'},
+          count: {type: 'integer'},
+          limit: {type: 'integer'},
+          offset: {type: 'integer'},
+          page: {type: 'integer'},
+          pages: {type: 'integer'},
+          has_more: {type: 'boolean'},
+          next_cursor: {type: 'string'}
+        }
+      }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      meta: {
+        type: 'object',
+        properties: {
+          code: {type: 'integer'},
+          error: {
+            type: 'object',
+            properties: {
+              message: {type: 'string'},
+              code: {type: 'integer'},
+              type: {type: 'string'},
+              errors: {type: 'array', items: {type: 'object'}},
+              fields: {type: 'array', items: {type: 'string'}}
+            }
+          }
+        }
+      },
+      data: {type: 'string'}
+    }
+  },
+  History: {
+    type: 'object',
+    properties: {
+      document_id: {type: 'string'},
+      action: {type: 'string', enum: ['create', 'update', 'delete', 'restore']},
+      previous: {type: 'object'},
+      changed: {type: 'object'},
+      user_id: {type: 'string'},
+      created: {}
+    }
+  }
+};
+
+// Converts an express path to an OpenAPI path
+// Optional params (Ex: `.:format?`) are left out
+// Ex: `/orders/:id.:format?` is `/orders/{id}`
+var toOpenAPIPath = function(path) {
+  return path.replace(/[.\/]:\w+\?/g, '').replace(/:(\w+)/g, '{$1}');
+};
+
+// Name of the controller function of a route action
+// Ex: `find`, `update` for both `PUT` and `PATCH`
+var actionName = function(controller, action) {
+  return _.find(_.functions(controller), function(name) {
+    return controller[name] === action;
+  });
+};
+
+// `{meta, data}` envelope of a successful response
+var envelope = function(data) {
+  return {
+    type: 'object',
+    properties: {
+      meta: {$ref: '#/components/schemas/Meta'},
+      data: data
+    }
+  };
+};
+
+// Builds the OpenAPI 3 document of `router.routes`
+// `info` is the OpenAPI info object, Ex: `{title: 'Orders', version: '2'}`
+module.exports = function(router, info) {
+  var doc = {
+    openapi: '3.0.3',
+    info: _.defaults({}, info, {
+      title: 'API',
+      version: '1'
+    }),
+    paths: {},
+    components: {
+      schemas: _.cloneDeep(components)
+    }
+  };
+
+  _.each(router.routes, function(route) {
+    var controller = route.controller;
+    var routeOptions = route.options || {};
+    if (!controller) {
+      return;
+    }
+
+    var path = toOpenAPIPath(route.url + route.path);
+    var name = actionName(controller, routeOptions.action);
+    var model = controller.model && controller.model.prototype;
+    var allowedParams = routeOptions.allowedParams || [];
+    var requiredParams = routeOptions.requiredParams || [];
+    var disallowedParams = routeOptions.disallowedParams || [];
+
+    // Whether a query or body param is accepted by the route
+    var isAllowed = function(param) {
+      return !_.contains(disallowedParams, param) &&
+        (!allowedParams.length || _.contains(allowedParams, param));
+    };
+
+    // Model schemas are components named by `urlRoot`
+    var modelRef;
+    if (model) {
+      if (!doc.components.schemas[model.urlRoot]) {
+        doc.components.schemas[model.urlRoot] = _.omit(model.toJSONSchema(), ['$schema', 'title']);
+      }
+      modelRef = {$ref: '#/components/schemas/' + model.urlRoot};
+    }
+
+    var operation = {
+      // Ex: `get_orders_id`
+      operationId: route.method + toOpenAPIPath(route.path).replace(/[^a-zA-Z0-9]+/g, '_').replace(/_$/, ''),
+      parameters: [],
+      responses: {
+        default: {
+          description: 'Error',
+          content: {
+            'application/json': {
+              schema: {$ref: '#/components/schemas/Error'}
+            }
+          }
+        }
+      }
+    };
+    if (controller.urlRoot) {
+      operation.tags = [controller.urlRoot];
+    }
+
+    // Path params
+    _.each(path.match(/\{\w+\}/g), function(param) {
+      operation.parameters.push({
+        name: param.slice(1, -1),
+        in: 'path',
+        required: true,
+        schema: {type: 'string'}
+      });
+    });
+
+    // Query params
+    var querySchemas = {};
+    if (route.method === 'get') {
+      _.each(_.extend({}, _.result(controller, 'queryParams'), {
+        user_id: 'string'
+      }), function(definition, param) {
+        var type = _.isPlainObject(definition) ? definition.type : definition;
+        var schema = queryParamSchemas[type] || {type: 'string'};
+        querySchemas[param] = schema;
+
+        // Comparison operators, Ex: `price[gte]`
+        var operators = _.isPlainObject(definition) && definition.operators ||
+          (type === 'array' ? ['all'] : []);
+        _.each(operators, function(operator) {
+          querySchemas[param + '[' + operator + ']'] = schema;
+        });
+      });
+    }
+    if (_.contains(['find', 'history'], name)) {
+      _.extend(querySchemas, pagingParams);
+    }
+    if (name === 'find') {
+      _.extend(querySchemas, sortParams);
+      if (controller.cursorPagination) {
+        querySchemas.cursor = {type: 'string'};
+      }
+    }
+    if (_.contains(['find', 'findOne'], name)) {
+      querySchemas.expand = {type: 'string'};
+    }
+    if (_.has(routeOptions, 'view')) {
+      querySchemas.fields = {type: 'string'};
+      querySchemas.view = {type: 'string'};
+      if (model && !_.isEmpty(_.result(model, 'views'))) {
+        querySchemas.view.enum = _.keys(_.result(model, 'views'));
+      }
+    }
+    _.each(querySchemas, function(schema, param) {
+      // Operators are allowed with their param
+      if (!isAllowed(param.replace(/\[\w+\]$/, ''))) {
+        return;
+      }
+      operation.parameters.push({
+        name: param,
+        in: 'query',
+        required: route.method === 'get' && _.contains(requiredParams, param),
+        schema: schema
+      });
+    });
+
+    // Request body of writes
+    // `PATCH` bodies are partial, nothing is required
+    if (modelRef && _.contains(['create', 'update'], name)) {
+      var isPatch = route.method === 'patch';
+      var requestSchema = modelRef;
+      if (isPatch || allowedParams.length || disallowedParams.length || requiredParams.length) {
+        requestSchema = _.cloneDeep(doc.components.schemas[model.urlRoot]);
+        requestSchema.properties = _.pick(requestSchema.properties, function(schema, param) {
+          return isAllowed(param);
+        });
+        requestSchema.required = _.union(
+          _.intersection(requestSchema.required || [], _.keys(requestSchema.properties)),
+          requiredParams
+        );
+        if (isPatch || !requestSchema.required.length) {
+          delete requestSchema.required;
+        }
+      }
+      operation.requestBody = {
+        required: true,
+        content: {
+          'application/json': {
+            schema: requestSchema
+          }
+        }
+      };
+    }
+
+    // Response body
+    var data = {};
+    if (name === 'destroy') {
+      operation.responses['204'] = {
+        description: 'No Content'
+      };
+    } else {
+      if (name === 'count') {
+        data = {type: 'object', properties: {total: {type: 'integer'}}};
+      } else if (modelRef && name === 'find') {
+        data = {type: 'array', items: modelRef};
+      } else if (modelRef && _.contains(['findOne', 'create', 'update', 'restore'], name)) {
+        data = modelRef;
+      } else if (name === 'history') {
+        data = {type: 'array', items: {$ref: '#/components/schemas/History'}};
+      }
+      operation.responses['200'] = {
+        description: 'OK',
+        content: {
+          'application/json': {
+            schema: envelope(data)
+          }
+        }
+      };
+    }
+
+    doc.paths[path] = doc.paths[path] || {};
+    doc.paths[path][route.method] = operation;
+  });
+
+  return doc;
+};
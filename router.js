@@ -2,10 +2,14 @@
 
 var _ = require('lodash');
 var express = require('express');
+var openapi = require('./openapi');
 
 // Exposes 2 additional attributes
 // routes - an array of mapped routes
 // url - a string representing the base url with optional version
+//
+// `options.openapi` serves the OpenAPI document of the routes
+// from `/openapi.json`, it is either `true` or the OpenAPI info object
 module.exports = function(options) {
   options = options || {};
 
@@ -24,6 +28,19 @@ module.exports = function(options) {
   // Controllers
   router.controllers = options.controllers;
 
+  // OpenAPI 3 document of the active routes (see `openapi.js`)
+  router.openapi = function(info) {
+    return openapi(router, info);
+  };
+
+  if (options.openapi) {
+    router.get('/openapi.json', function(req, res) {
+      res.json(router.openapi(_.isObject(options.openapi) ? options.openapi : {
+        version: options.version
+      }));
+    });
+  }
+
   // Add routes
   router.addControllerRoutes = function() {
     // Set of active routes
@@ -95,6 +112,10 @@ module.exports = function(options) {
                 }
               }
 
+              // Expose the route options to the controller
+              // Ex: the default `view` (see `Controller.getView`)
+              req.routeOptions = routeOptions;
+
               // Execute the route for the request
               routeOptions.action.call(controller, req, res, next);
             };
@@ -113,7 +134,9 @@ module.exports = function(options) {
             router.routes.push({
               url: router.url,
               method: method,
-              path: path
+              path: path,
+              controller: controller,
+              options: routeOptions
             });
 
             // Set this path/method as being active
@@ -0,0 +1,457 @@
+'use strict';
+
+var _ = require('lodash');
+var assert = require('chai').assert;
+var Controller = require('../controller');
+var Model = require('../model');
+var BootieError = require('../error');
+
+require('../mixins');
+
+describe('Controller', function() {
+  // Set max timeout allowed
+  this.timeout(10000);
+
+  // Variables
+  var controller;
+
+  beforeEach(function() {
+    controller = new Controller();
+  });
+
+  describe('#errorResponse', function() {
+    it('should render a ValidationError as 422 with errors', function(done) {
+      var err = new BootieError.ValidationError([{
+        keypath: 'price',
+        expected: 'integer',
+        received: 'abc',
+        message: '`price` must be of type `integer`.'
+      }]);
+      var res = {};
+
+      controller.errorResponse(err, {}, res, function() {
+        assert.strictEqual(res.code, 422);
+        assert.strictEqual(res.data.meta.code, 422);
+        assert.strictEqual(res.data.meta.error.type, 'validation');
+        assert.strictEqual(res.data.meta.error.message, 'Invalid `price` attribute(s).');
+        assert.deepEqual(res.data.meta.error.errors, err.errors);
+        done();
+      });
+    });
+
+    it('should render a DuplicateError as 409 with fields', function(done) {
+      var err = new BootieError.DuplicateError('user_id_1_order_number_-1', ['user_id', 'order_number']);
+      var res = {};
+
+      controller.errorResponse(err, {}, res, function() {
+        assert.strictEqual(res.code, 409);
+        assert.strictEqual(res.data.meta.error.type, 'duplicate');
+        assert.strictEqual(res.data.meta.error.message,
+          'Duplicate value of `user_id`, `order_number` attribute(s).');
+        assert.deepEqual(res.data.meta.error.fields, ['user_id', 'order_number']);
+        done();
+      });
+    });
+  });
+
+  describe('#parseQueryString', function() {
+    it('should parse expand as relations to populate', function() {
+      var options = controller.parseQueryString({
+        query: {
+          expand: 'user, items.product'
+        }
+      });
+      assert.deepEqual(options.populate, ['user', 'items.product']);
+    });
+
+    it('should not sort or filter by virtuals', function() {
+      controller.model = Model.extend({
+        virtuals: {
+          full_name: function() {}
+        }
+      });
+      controller.queryParams = function() {
+        return {
+          full_name: 'string'
+        };
+      };
+
+      var options = controller.parseQueryString({
+        query: {
+          sort: 'full_name',
+          full_name: 'Sam Smith'
+        }
+      });
+      assert.deepEqual(options.sort, [
+        ['created', 'desc']
+      ]);
+      assert.deepEqual(options.query, {});
+    });
+
+    it('should not populate without expand', function() {
+      var options = controller.parseQueryString({
+        query: {}
+      });
+      assert.notProperty(options, 'populate');
+    });
+
+    it('should parse fields as a projection', function() {
+      controller.model = Model.extend({
+        virtuals: {
+          full_name: function() {}
+        }
+      });
+
+      var options = controller.parseQueryString({
+        query: {
+          fields: 'name, email,items.sku,full_name'
+        }
+      });
+      assert.deepEqual(options.fields, {
+        name: 1,
+        email: 1,
+        'items.sku': 1,
+        _id: 1
+      });
+    });
+
+    describe('sort', function() {
+      var parseSort = function(query) {
+        return controller.parseQueryString({
+          query: query
+        }).sort;
+      };
+
+      it('should sort by multiple fields', function() {
+        assert.deepEqual(parseSort({
+          sort: '-created,name'
+        }), [
+          ['created', 'desc'],
+          ['name', 'desc']
+        ]);
+        assert.deepEqual(parseSort({
+          sort: 'name,-created',
+          order: '1'
+        }), [
+          ['name', 'asc'],
+          ['created', 'desc']
+        ]);
+      });
+
+      it('should reject an invalid order', function() {
+        assert.throws(function() {
+          parseSort({
+            order: 'up'
+          });
+        }, 'Invalid `order` parameter, expected `asc`, `desc`, `1` or `-1`.');
+      });
+
+      it('should only sort by sortableParams', function() {
+        controller.sortableParams = ['created', 'name'];
+
+        assert.deepEqual(parseSort({
+          sort: 'name',
+          order: 'ASC'
+        }), [
+          ['name', 'asc']
+        ]);
+
+        try {
+          parseSort({
+            sort: 'name,email'
+          });
+          assert.fail('should have thrown');
+        } catch (err) {
+          assert.strictEqual(err.code, 400);
+          assert.strictEqual(err.message, 'Cannot sort by `email`.');
+        }
+      });
+
+      it('should not sort by hidden attributes', function() {
+        controller.model = Model.extend({
+          hiddenAttributes: {
+            secret: true,
+            billing: {
+              card: true
+            }
+          }
+        });
+
+        assert.throws(function() {
+          parseSort({
+            sort: 'secret'
+          });
+        }, 'Cannot sort by `secret`.');
+        assert.throws(function() {
+          parseSort({
+            sort: '-billing.card.last4'
+          });
+        }, 'Cannot sort by `billing.card.last4`.');
+        assert.deepEqual(parseSort({
+          sort: 'billing.city'
+        }), [
+          ['billing.city', 'desc']
+        ]);
+      });
+    });
+
+    describe('queryParams types', function() {
+      var parse = function(query) {
+        return controller.parseQueryString({
+          query: query
+        }).query.$and;
+      };
+
+      beforeEach(function() {
+        controller.queryParams = function() {
+          return {
+            is_active: 'boolean',
+            shipped: 'date',
+            paid: 'timestamp',
+            product_id: 'objectid',
+            tags: 'array',
+            notes: 'exists',
+            quantity: 'integer'
+          };
+        };
+      });
+
+      it('should parse booleans', function() {
+        assert.deepEqual(parse({
+          is_active: 'true'
+        }), [{
+          is_active: true
+        }]);
+        assert.deepEqual(parse({
+          is_active: '0'
+        }), [{
+          is_active: false
+        }]);
+        assert.isUndefined(parse({
+          is_active: 'yes'
+        }));
+      });
+
+      it('should parse dates and timestamps from ISO8601 or epoch', function() {
+        assert.deepEqual(parse({
+          shipped: '2014-08-01T00:00:00.000Z'
+        }), [{
+          shipped: new Date('2014-08-01T00:00:00.000Z')
+        }]);
+        assert.deepEqual(parse({
+          shipped: '1406851200'
+        }), [{
+          shipped: new Date('2014-08-01T00:00:00.000Z')
+        }]);
+        assert.deepEqual(parse({
+          paid: '2014-08-01T00:00:00.000Z,1406851200000'
+        }), [{
+          $or: [{
+            paid: 1406851200000
+          }, {
+            paid: 1406851200000
+          }]
+        }]);
+      });
+
+      it('should only parse valid objectids', function() {
+        assert.deepEqual(parse({
+          product_id: '53b4694cda836700006b61f2,12345'
+        }), [{
+          product_id: '53b4694cda836700006b61f2'
+        }]);
+        assert.isUndefined(parse({
+          product_id: '12345'
+        }));
+      });
+
+      it('should match arrays with $in or $all', function() {
+        assert.deepEqual(parse({
+          tags: 'red,blue'
+        }), [{
+          tags: {
+            $in: ['red', 'blue']
+          }
+        }]);
+        assert.deepEqual(parse({
+          tags: {
+            all: 'red,blue'
+          }
+        }), [{
+          tags: {
+            $all: ['red', 'blue']
+          }
+        }]);
+      });
+
+      it('should parse exists', function() {
+        assert.deepEqual(parse({
+          notes: 'false'
+        }), [{
+          notes: {
+            $exists: false
+          }
+        }]);
+      });
+
+      it('should ignore invalid integers and values that are not strings', function() {
+        assert.isUndefined(parse({
+          quantity: 'abc',
+          is_active: {
+            foo: 'bar'
+          }
+        }));
+      });
+
+      it('should parse whitelisted comparison operators by type', function() {
+        controller.queryParams = function() {
+          return {
+            price: {
+              type: 'integer',
+              operators: ['gte', 'lt']
+            },
+            status: {
+              type: 'string',
+              operators: ['nin']
+            }
+          };
+        };
+
+        assert.deepEqual(parse({
+          price: {
+            gte: '100',
+            lt: '500',
+            ne: '200'
+          },
+          status: {
+            nin: 'void,refunded'
+          }
+        }), [{
+          price: {
+            $gte: 100,
+            $lt: 500
+          }
+        }, {
+          status: {
+            $nin: ['void', 'refunded']
+          }
+        }]);
+      });
+
+      it('should ignore operators that are not whitelisted', function() {
+        assert.isUndefined(parse({
+          quantity: {
+            gt: '1'
+          }
+        }));
+      });
+
+      it('should throw on unknown operators at setup', function() {
+        var BadController = Controller.extend({
+          queryParams: function() {
+            return {
+              price: {
+                type: 'integer',
+                operators: ['where']
+              }
+            };
+          }
+        });
+        assert.throws(function() {
+          return new BadController();
+        }, 'Unknown operator `where` of query param `price`.');
+      });
+
+      it('should throw on unknown types at setup', function() {
+        var BadController = Controller.extend({
+          queryParams: function() {
+            return {
+              name: 'strnig'
+            };
+          }
+        });
+        assert.throws(function() {
+          return new BadController();
+        }, 'Unknown type `strnig` of query param `name`.');
+      });
+    });
+  });
+
+  describe('#prepareResponse', function() {
+    it('should only render the fields and the id', function(done) {
+      var model = new Model({
+        _id: '53b4694cda836700006b61f2',
+        name: 'Sam',
+        email: 'sam@example.com'
+      });
+      var res = {};
+
+      controller.prepareResponse(model, {
+        query: {
+          fields: 'name'
+        }
+      }, res, function() {
+        assert.deepEqual(res.data, {
+          _id: '53b4694cda836700006b61f2',
+          name: 'Sam'
+        });
+        done();
+      });
+    });
+  });
+
+  describe('#getView', function() {
+    it('should prefer ?view= over the route default view', function() {
+      assert.strictEqual(controller.getView({
+        query: {
+          view: 'public'
+        },
+        routeOptions: {
+          view: 'summary'
+        }
+      }), 'public');
+      assert.strictEqual(controller.getView({
+        query: {},
+        routeOptions: {
+          view: 'summary'
+        }
+      }), 'summary');
+      assert.isUndefined(controller.getView({
+        query: {},
+        routeOptions: {
+          view: []
+        }
+      }));
+    });
+
+    it('#prepareResponse should render the view', function(done) {
+      var TestModel = Model.extend({
+        views: {
+          summary: ['name']
+        },
+        schema: function() {
+          return {
+            name: 'string',
+            notes: 'string'
+          };
+        }
+      });
+      var model = new TestModel({
+        name: 'test',
+        notes: 'long'
+      });
+      var res = {};
+
+      controller.prepareResponse(model, {
+        query: {
+          view: 'summary'
+        }
+      }, res, function() {
+        assert.deepEqual(res.data, {
+          name: 'test'
+        });
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,304 @@
+'use strict';
+
+var _ = require('lodash');
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var sinonAsPromised = require('sinon-as-promised')(Promise);
+var CrudController = require('../crud_controller');
+var Model = require('../model');
+var Collection = require('../collection');
+
+require('../mixins');
+
+describe('CrudController', function() {
+  // Set max timeout allowed
+  this.timeout(10000);
+
+  // Variables
+  var controller;
+  var model;
+
+  beforeEach(function() {
+    var TestModel = Model.extend({
+      versionAttribute: 'version',
+      schema: function() {
+        return {
+          string: 'string'
+        };
+      }
+    });
+    model = new TestModel({
+      version: 3
+    });
+    controller = new CrudController({
+      model: TestModel
+    });
+  });
+
+  // Fake express request with headers
+  var request = function(headers) {
+    return {
+      get: function(name) {
+        return headers[name];
+      }
+    };
+  };
+
+  describe('#setETag', function() {
+    it('should set the version as an ETag', function() {
+      var res = {
+        set: sinon.spy()
+      };
+
+      controller.setETag(res, model);
+      assert.isTrue(res.set.calledWith('ETag', '"3"'));
+    });
+
+    it('should not set an ETag without a version', function() {
+      var res = {
+        set: sinon.spy()
+      };
+
+      controller.setETag(res, new Model());
+      assert.isFalse(res.set.called);
+    });
+  });
+
+  describe('#applyIfMatch', function() {
+    it('should set the expected version from If-Match', function() {
+      controller.applyIfMatch(request({
+        'If-Match': 'W/"2"'
+      }), model);
+      assert.strictEqual(model.get('version'), 2);
+    });
+
+    it('should ignore a missing or wildcard If-Match', function() {
+      controller.applyIfMatch(request({}), model);
+      controller.applyIfMatch(request({
+        'If-Match': '*'
+      }), model);
+      assert.strictEqual(model.get('version'), 3);
+    });
+
+    it('should throw a 412 if If-Match is not a version', function() {
+      assert.throws(function() {
+        controller.applyIfMatch(request({
+          'If-Match': '"abc"'
+        }), model);
+      }, /If-Match/);
+    });
+  });
+
+  describe('#setupRoutes', function() {
+    it('should only route restore with the S crud letter', function() {
+      assert.notProperty(controller.routes.post, '/models/:id/restore');
+
+      var RestoreController = CrudController.extend({
+        crud: ['R', 'D', 'S']
+      });
+      var restoreController = new RestoreController();
+      assert.strictEqual(restoreController.routes.post['/models/:id/restore'].action,
+        restoreController.restore);
+    });
+
+    it('should only route history with the H crud letter', function() {
+      assert.notProperty(controller.routes.get, '/models/:id/history');
+
+      var HistoryController = CrudController.extend({
+        crud: ['R', 'H']
+      });
+      var historyController = new HistoryController();
+      assert.strictEqual(historyController.routes.get['/models/:id/history'].action,
+        historyController.history);
+    });
+  });
+
+  describe('defaultViews', function() {
+    it('should set the default view of routes', function() {
+      var ViewController = CrudController.extend({
+        defaultViews: {
+          find: 'summary'
+        }
+      });
+      var viewController = new ViewController();
+
+      assert.strictEqual(viewController.routes.get['/models.:format?'].view, 'summary');
+      assert.deepEqual(viewController.routes.get['/models/:id.:format?'].view, []);
+    });
+  });
+
+  describe('#setupModel', function() {
+    it('should assign the request user', function() {
+      var user = {
+        role: 'admin'
+      };
+
+      assert.strictEqual(controller.setupModel({
+        user: user
+      }).user, user);
+      assert.strictEqual(controller.setupCollection({
+        user: user
+      }).user, user);
+    });
+  });
+
+  describe('#destroy', function() {
+    it('should fetch an audited model to record the deleted document', function() {
+      var AuditModel = Model.extend({
+        audit: true,
+        schema: function() {
+          return {
+            _id: 'id',
+            string: 'string'
+          };
+        }
+      });
+      var auditModel = new AuditModel({
+        _id: '53b4694cda836700006b61f2'
+      });
+      auditModel.db = {
+        findOne: sinon.spy(function() {
+          var doc = {
+            _id: '53b4694cda836700006b61f2',
+            string: 'deleted'
+          };
+          _.last(arguments)(null, doc);
+          return Promise.resolve(doc);
+        }),
+        remove: sinon.stub().resolves(1)
+      };
+      auditModel.writeHistory = sinon.stub().resolves();
+      controller.setupModel = function() {
+        return auditModel;
+      };
+
+      var res = {};
+      return new Promise(function(resolve, reject) {
+        controller.destroy(request({}), res, function(err) {
+          return err ? reject(err) : resolve();
+        });
+      }).then(function() {
+        assert.strictEqual(res.code, 204);
+        assert.isTrue(auditModel.db.findOne.calledBefore(auditModel.db.remove));
+        assert.deepEqual(auditModel.writeHistory.firstCall.args, ['delete', {
+          _id: '53b4694cda836700006b61f2',
+          string: 'deleted'
+        }, {}]);
+      });
+    });
+  });
+
+  describe('cursorPagination', function() {
+    var collection;
+    var docs;
+
+    beforeEach(function() {
+      docs = [{
+        _id: '53b4694cda836700006b61f3',
+        created: 3000
+      }, {
+        _id: '53b4694cda836700006b61f2',
+        created: 2000
+      }, {
+        _id: '53b4694cda836700006b61f1',
+        created: 1000
+      }];
+      collection = new Collection();
+      collection.fetch = sinon.spy(function() {
+        collection.reset(docs);
+        return Promise.resolve(collection);
+      });
+
+      controller.cursorPagination = true;
+      controller.setupCollection = function() {
+        return collection;
+      };
+    });
+
+    var find = function(query) {
+      var res = {};
+      return new Promise(function(resolve, reject) {
+        controller.find({
+          query: query
+        }, res, function(err) {
+          return err ? reject(err) : resolve(res);
+        });
+      });
+    };
+
+    it('should not count and respond with the next cursor', function() {
+      return find({
+        limit: '2'
+      }).then(function(res) {
+        var options = collection.fetch.firstCall.args[0];
+        assert.isFalse(options.count);
+        assert.strictEqual(options.limit, 3);
+        assert.strictEqual(options.skip, 0);
+        assert.deepEqual(options.sort, [
+          ['created', 'desc'],
+          ['_id', 'desc']
+        ]);
+
+        assert.strictEqual(res.data.length, 2);
+        assert.deepEqual(res.paging, {
+          count: 2,
+          limit: 2,
+          has_more: true,
+          next_cursor: _.encodeBase64(JSON.stringify([2000, '53b4694cda836700006b61f2']))
+        });
+      });
+    });
+
+    it('should find documents after the cursor', function() {
+      return find({
+        limit: '3',
+        cursor: _.encodeBase64(JSON.stringify([2000, '53b4694cda836700006b61f2']))
+      }).then(function(res) {
+        var options = collection.fetch.firstCall.args[0];
+        assert.deepEqual(options.query, {
+          $or: [{
+            created: {
+              $lt: 2000
+            }
+          }, {
+            created: 2000,
+            _id: {
+              $lt: '53b4694cda836700006b61f2'
+            }
+          }]
+        });
+
+        assert.isFalse(res.paging.has_more);
+        assert.isNull(res.paging.next_cursor);
+      });
+    });
+
+    it('should project the sort fields of the cursor', function() {
+      return find({
+        limit: '2',
+        fields: 'string'
+      }).then(function(res) {
+        var options = collection.fetch.firstCall.args[0];
+        assert.deepEqual(options.fields, {
+          string: 1,
+          _id: 1,
+          created: 1
+        });
+        assert.strictEqual(res.paging.next_cursor,
+          _.encodeBase64(JSON.stringify([2000, '53b4694cda836700006b61f2'])));
+      });
+    });
+
+    it('should reject an invalid cursor', function() {
+      return find({
+        cursor: 'nope'
+      }).then(function() {
+        assert.fail('should have rejected');
+      }, function(err) {
+        assert.strictEqual(err.code, 400);
+        assert.strictEqual(err.message, 'Invalid `cursor` parameter.');
+      });
+    });
+  });
+});
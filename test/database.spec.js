@@ -0,0 +1,169 @@
+'use strict';
+
+var _ = require('lodash');
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var sinonAsPromised = require('sinon-as-promised')(Promise);
+var Database = require('../database');
+var Model = require('../model');
+
+describe('Database', function() {
+  describe('encryption', function() {
+    var encryption = {
+      keyId: 'k1',
+      keys: {
+        k1: '13741c7ec3a809950ed8e75c1abcfa0e8f9994b2b79d7a895c2e383f28c8a792'
+      }
+    };
+
+    it('should pass the keys to each mongodb', function() {
+      var database = new Database({
+        mongodbs: {
+          main: 'mongodb://localhost:27017/test'
+        },
+        encryption: encryption,
+        autoconnect: false,
+        silent: true
+      });
+
+      assert.deepEqual(database.mongodbs.main.encryption, encryption);
+      assert.isNull(Model.prototype.encryption);
+    });
+  });
+
+  describe('syncIndexes', function() {
+    var database;
+    var mongo;
+    var Order;
+    var Payment;
+
+    beforeEach(function() {
+      database = new Database({
+        silent: true
+      });
+      mongo = {
+        indexInformation: sinon.stub().resolves([{
+          v: 1,
+          key: {
+            _id: 1
+          },
+          name: '_id_'
+        }, {
+          v: 1,
+          key: {
+            user_id: 1
+          },
+          name: 'user_id_1'
+        }, {
+          v: 1,
+          key: {
+            created: -1
+          },
+          name: 'created_-1'
+        }]),
+        ensureIndex: sinon.stub().resolves('name'),
+        dropIndex: sinon.stub().resolves({})
+      };
+      database.mongodbs.main = mongo;
+
+      Order = Model.extend({
+        urlRoot: 'orders',
+        indexes: [{
+          key: {
+            user_id: 1
+          }
+        }, {
+          key: {
+            user_id: 1,
+            order_number: -1
+          },
+          unique: true
+        }]
+      });
+      Payment = Model.extend({
+        urlRoot: 'payments'
+      });
+    });
+
+    it('should create missing indexes', function() {
+      return database.syncIndexes([Order]).then(function(changes) {
+        assert.deepEqual(mongo.indexInformation.firstCall.args, ['orders', {
+          full: true
+        }]);
+        assert.deepEqual(changes, [{
+          collection: 'orders',
+          action: 'create',
+          index: {
+            key: {
+              user_id: 1,
+              order_number: -1
+            },
+            unique: true
+          }
+        }]);
+        assert.isTrue(mongo.ensureIndex.calledOnce);
+        assert.deepEqual(mongo.ensureIndex.firstCall.args, ['orders', {
+          user_id: 1,
+          order_number: -1
+        }, {
+          unique: true
+        }]);
+        assert.isFalse(mongo.dropIndex.called);
+      });
+    });
+
+    it('should recreate an index with different options', function() {
+      mongo.indexInformation.resolves([{
+        key: {
+          user_id: 1,
+          order_number: -1
+        },
+        name: 'user_id_1_order_number_-1'
+      }]);
+
+      return database.syncIndexes([Order], {
+        drop: true
+      }).then(function(changes) {
+        assert.deepEqual(_.pluck(changes, 'action'), ['drop', 'create', 'create']);
+        assert.strictEqual(mongo.dropIndex.firstCall.args[1], 'user_id_1_order_number_-1');
+        assert.isTrue(mongo.dropIndex.calledBefore(mongo.ensureIndex));
+      });
+    });
+
+    it('should drop undeclared indexes except `_id_`', function() {
+      return database.syncIndexes([Order, Payment], {
+        drop: true
+      }).then(function(changes) {
+        var drops = _.where(changes, {
+          action: 'drop'
+        });
+        assert.deepEqual(_.map(drops, function(change) {
+          return change.collection + '.' + change.index.name;
+        }), ['orders.created_-1', 'payments.user_id_1', 'payments.created_-1']);
+        assert.strictEqual(mongo.dropIndex.callCount, 3);
+      });
+    });
+
+    it('should only plan changes in a dry run', function() {
+      return database.syncIndexes([Order], {
+        drop: true,
+        dryRun: true
+      }).then(function(changes) {
+        assert.strictEqual(changes.length, 2);
+        assert.isFalse(mongo.ensureIndex.called);
+        assert.isFalse(mongo.dropIndex.called);
+      });
+    });
+
+    it('should reject without a mongodb', function() {
+      return database.syncIndexes([Order], {
+        mongodb: 'missing'
+      }).then(function() {
+        assert.fail('should have rejected');
+      }, function(err) {
+        assert.match(err.message, /No mongodb/);
+      });
+    });
+  });
+});
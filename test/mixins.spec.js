@@ -27,6 +27,23 @@ describe("Mixins", function() {
     assert.strictEqual(decryptedString, secretString);
   });
 
+  it("should encrypt and decrypt a string with AES-GCM", function() {
+    var keys = {
+      k1: _.randomHash(),
+      k2: _.randomHash()
+    };
+    var encrypted = _.encryptStringGCM(secretString, keys.k2, 'k2');
+
+    assert.isTrue(_.isEncryptedGCM(encrypted));
+    assert.strictEqual(encrypted.split(':')[0], 'k2');
+    assert.notEqual(_.encryptStringGCM(secretString, keys.k2, 'k2'), encrypted);
+    assert.strictEqual(_.decryptStringGCM(encrypted, keys), secretString);
+    assert.throws(function() {
+      _.decryptStringGCM(encrypted, _.pick(keys, 'k1'));
+    }, /k2/);
+    assert.isFalse(_.isEncryptedGCM(secretString));
+  });
+
   it("should sanitize an email", function() {
     var email = " lEeTh4x0R@tryCelery.com  ";
     var sanitizedEmail = _.sanitizeEmail(email);
@@ -49,6 +66,15 @@ describe("Mixins", function() {
     assert.isFalse(_.isUnixTime(1407397793555));
   });
 
+  it('#isValidURL', function() {
+    assert.isTrue(_.isValidURL('https://trycelery.com/shop?id=1'));
+    assert.isTrue(_.isValidURL('http://localhost:3000'));
+    assert.isFalse(_.isValidURL('ftp://trycelery.com'));
+    assert.isFalse(_.isValidURL('trycelery.com'));
+    assert.isFalse(_.isValidURL('http://try celery.com'));
+    assert.isFalse(_.isValidURL(1234));
+  });
+
   it('#isValidISO8601String', function() {
     assert.isTrue(_.isValidISO8601String('2013-11-18T09:04:24.447Z'));
     assert.isFalse(_.isValidISO8601String('Thu, 07 Aug 2014 07:49:53 GMT'));
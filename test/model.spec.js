@@ -10,6 +10,8 @@ var sinon = require('sinon');
 var Promise = require('bluebird');
 var sinonAsPromised = require('sinon-as-promised')(Promise);
 var Model = require('../model');
+var Collection = require('../collection');
+var BootieError = require('../error');
 
 require('../mixins');
 
@@ -233,6 +235,36 @@ describe('Model', function() {
     assert.strictEqual(testModel.attributes.string, 'i am a string');
   });
 
+  it('#setFromRequest should not set readOnlyAttributes with keypaths', function() {
+    var TestModel = Model.extend({
+      defaults: helpers.requireFixture('defaults'),
+      schema: helpers.requireFixture('schema'),
+      readOnlyAttributes: function() {
+        return {
+          string: true,
+          object: {
+            omg: {
+              wtf: true
+            }
+          }
+        };
+      }
+    });
+    var testModel = new TestModel();
+
+    return testModel.setFromRequest({
+      string: 'readonly',
+      'object.omg.wtf': 'lol',
+      'object.foo': 'baz'
+    }).then(function() {
+      assert.strictEqual(testModel.get('string'), 'i am a string');
+      assert.deepEqual(testModel.get('object'), {
+        foo: 'baz',
+        omg: {}
+      });
+    });
+  });
+
   it('#setFromRequest with unset', function() {
     var TestModel = Model.extend({
       defaults: helpers.requireFixture('defaults'),
@@ -672,4 +704,2424 @@ describe('Model', function() {
       });
     });
   });
+
+  describe('strictValidation', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        strictValidation: true,
+        defaults: helpers.requireFixture('defaults'),
+        schema: helpers.requireFixture('schema')
+      });
+    });
+
+    it('should collect errors instead of removing invalid values', function() {
+      var testModel = new TestModel();
+      var schema = _.result(testModel, 'schema');
+
+      var attrs = {
+        string: 1234,
+        integer: 'abc',
+        float: '12.5',
+        boolean: 'nope',
+        array_strings: ['a', 2],
+        array_objects: [{
+          foo: false
+        }],
+        object: 'not an object'
+      };
+
+      var errors = testModel.validateAttributes(attrs, schema, []);
+      assert.deepEqual(_.pluck(errors, 'keypath'), [
+        'string',
+        'integer',
+        'boolean',
+        'array_strings.1',
+        'array_objects.0.foo',
+        'object'
+      ]);
+      assert.deepEqual(errors[1], {
+        keypath: 'integer',
+        rule: 'type',
+        expected: 'integer',
+        received: 'abc',
+        message: '`integer` must be of type `integer`.'
+      });
+      assert.strictEqual(attrs.string, 1234);
+      assert.strictEqual(attrs.integer, 'abc');
+      assert.strictEqual(attrs.float, 12.5);
+    });
+
+    it('should only coerce explicit boolean values', function() {
+      var testModel = new TestModel();
+      var schema = _.result(testModel, 'schema');
+
+      var attrs = {
+        array_booleans: [true, 0, '1', 'false']
+      };
+
+      var errors = testModel.validateAttributes(attrs, schema, []);
+      assert.lengthOf(errors, 0);
+      assert.deepEqual(attrs.array_booleans, [true, false, true, false]);
+    });
+
+    it('#setFromRequest should reject with a ValidationError', function() {
+      var testModel = new TestModel();
+
+      return testModel.setFromRequest({
+        string: 'valid',
+        uinteger: -1
+      }).then(function() {
+        throw new Error('Should have been rejected');
+      }, function(err) {
+        assert.instanceOf(err, BootieError.ValidationError);
+        assert.strictEqual(err.code, 422);
+        assert.strictEqual(err.type, 'validation');
+        assert.deepEqual(_.pluck(err.errors, 'keypath'), ['uinteger']);
+        // Nothing is set if any attribute is invalid
+        assert.strictEqual(testModel.get('string'), 'i am a string');
+      });
+    });
+
+    it('#save should reject with a ValidationError', function() {
+      var testModel = new TestModel();
+      var stub = sinon.stub(testModel, 'sync').resolves({});
+
+      return testModel.save({
+        string: 'valid',
+        integer: 'abc'
+      }).then(function() {
+        throw new Error('Should have been rejected');
+      }, function(err) {
+        assert.instanceOf(err, BootieError.ValidationError);
+        assert.deepEqual(_.pluck(err.errors, 'keypath'), ['integer']);
+        // Nothing is set nor saved
+        assert.strictEqual(testModel.get('integer'), -1234);
+        assert.strictEqual(testModel.get('string'), 'i am a string');
+        assert.isFalse(stub.called);
+      });
+    });
+
+    it('#set should be strict when validating', function() {
+      var testModel = new TestModel();
+      assert.isFalse(testModel.set('integer', 'abc', {
+        validate: true
+      }));
+      assert.instanceOf(testModel.validationError, BootieError.ValidationError);
+      assert.strictEqual(testModel.get('integer'), -1234);
+    });
+
+    it('should not truncate integers nor round money', function() {
+      var MoneyModel = TestModel.extend({
+        schema: function() {
+          return {
+            integer: 'integer',
+            uinteger: 'uinteger',
+            money: 'money'
+          };
+        }
+      });
+      var testModel = new MoneyModel();
+      var schema = _.result(testModel, 'schema');
+
+      var errors = testModel.validateAttributes({
+        integer: 1.5,
+        uinteger: '2.9',
+        money: '12.505'
+      }, schema, []);
+      assert.deepEqual(_.pluck(errors, 'keypath'), ['integer', 'uinteger', 'money']);
+
+      var attrs = {
+        integer: '2.0',
+        uinteger: 3,
+        money: '$1,012.50'
+      };
+      assert.lengthOf(testModel.validateAttributes(attrs, schema, []), 0);
+      assert.deepEqual(attrs, {
+        integer: 2,
+        uinteger: 3,
+        money: 101250
+      });
+    });
+
+    it('#set should not be strict by default', function() {
+      var testModel = new TestModel();
+      testModel.set('integer', 'abc');
+      assert.strictEqual(testModel.get('integer'), 0);
+    });
+  });
+
+  describe('schema descriptors', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        strictValidation: true,
+        schema: function() {
+          return {
+            name: {
+              type: 'string',
+              required: true,
+              minLength: 2,
+              maxLength: 8
+            },
+            status: {
+              type: 'string',
+              enum: ['open', 'closed']
+            },
+            quantity: {
+              type: 'uinteger',
+              min: 1,
+              max: 10
+            },
+            sku: {
+              type: 'string',
+              pattern: /^[A-Z]{3}-\d+$/
+            },
+            even: {
+              type: 'integer',
+              validate: function(val) {
+                if (val % 2) {
+                  return 'must be even';
+                }
+              }
+            },
+            tags: {
+              type: ['string'],
+              enum: ['a', 'b'],
+              maxLength: 2
+            },
+            items: [{
+              sku: {
+                type: 'string',
+                required: true
+              },
+              color: [{
+                type: 'string',
+                enum: ['red', 'blue']
+              }]
+            }]
+          };
+        }
+      });
+    });
+
+    it('should treat an object with only descriptor keys as a descriptor', function() {
+      var testModel = new TestModel();
+      var schema = _.result(testModel, 'schema');
+
+      var attrs = {
+        name: 'shoe',
+        status: 'open',
+        quantity: '3',
+        sku: 'ABC-123',
+        even: 4,
+        tags: ['a'],
+        items: [{
+          sku: 'ABC-1',
+          color: ['red']
+        }]
+      };
+
+      var errors = testModel.validateAttributes(attrs, schema, []);
+      assert.lengthOf(errors, 0);
+      assert.strictEqual(attrs.quantity, 3);
+    });
+
+    it('should enforce constraints recursively in strict mode', function() {
+      var testModel = new TestModel();
+      var schema = _.result(testModel, 'schema');
+
+      var attrs = {
+        name: 'a',
+        status: 'pending',
+        quantity: 11,
+        sku: 'abc',
+        even: 3,
+        tags: ['a', 'b', 'c'],
+        items: [{
+          sku: null,
+          color: ['red', 'green']
+        }]
+      };
+
+      var errors = testModel.validateAttributes(attrs, schema, []);
+      assert.deepEqual(_.map(errors, function(error) {
+        return error.keypath + ':' + error.rule;
+      }), [
+        'name:minLength',
+        'status:enum',
+        'quantity:max',
+        'sku:pattern',
+        'even:validate',
+        'tags:enum',
+        'items.0.sku:required',
+        'items.0.color.1:enum'
+      ]);
+      assert.strictEqual(errors[4].message, '`even` must be even.');
+    });
+
+    it('should remove values that violate constraints when not strict', function() {
+      var testModel = new TestModel();
+      var schema = _.result(testModel, 'schema');
+
+      var attrs = {
+        name: 'valid',
+        status: 'pending',
+        items: [{
+          color: ['red', 'green']
+        }]
+      };
+
+      testModel.validateAttributes(attrs, schema);
+      assert.deepEqual(attrs, {
+        name: 'valid',
+        items: [{
+          color: ['red', null]
+        }]
+      });
+    });
+
+    it('#save should reject when a required attribute is missing', function() {
+      var testModel = new TestModel({
+        items: [{
+          color: ['blue']
+        }]
+      });
+
+      return testModel.save().then(function() {
+        throw new Error('Should have been rejected');
+      }, function(err) {
+        assert.instanceOf(err, BootieError.ValidationError);
+        assert.deepEqual(_.pluck(err.errors, 'keypath'), ['name', 'items.0.sku']);
+        assert.deepEqual(_.pluck(err.errors, 'rule'), ['required', 'required']);
+      });
+    });
+  });
+
+  describe('additional schema types', function() {
+    var testModel;
+    var schema;
+
+    beforeEach(function() {
+      var TestModel = Model.extend({
+        schema: function() {
+          return {
+            email: 'email',
+            uuid: 'uuid',
+            url: 'url',
+            status: {
+              type: 'enum',
+              enum: ['open', 'closed']
+            },
+            price: 'money',
+            user_id: 'ref:users',
+            location: 'geopoint'
+          };
+        }
+      });
+      testModel = new TestModel();
+      schema = _.result(testModel, 'schema');
+    });
+
+    it('should coerce and accept valid values', function() {
+      var attrs = {
+        email: ' Peter@TryCelery.com ',
+        uuid: '54883600-724d-4cd1-954b-bb333de2345d',
+        url: 'https://trycelery.com',
+        status: 'open',
+        price: '$1,212.50',
+        user_id: '53b4694cda836700006b61f2',
+        location: [-122.41, 37.77]
+      };
+
+      var errors = testModel.validateAttributes(attrs, schema, []);
+      assert.lengthOf(errors, 0);
+      assert.deepEqual(attrs, {
+        email: 'peter@trycelery.com',
+        uuid: '54883600-724d-4cd1-954b-bb333de2345d',
+        url: 'https://trycelery.com',
+        status: 'open',
+        price: 121250,
+        user_id: '53b4694cda836700006b61f2',
+        location: {
+          type: 'Point',
+          coordinates: [-122.41, 37.77]
+        }
+      });
+    });
+
+    it('should keep money that is already in cents', function() {
+      testModel.set('price', 1250);
+      assert.strictEqual(testModel.get('price'), 1250);
+      testModel.set('price', '12.50');
+      assert.strictEqual(testModel.get('price'), 1250);
+    });
+
+    it('should reject invalid values', function() {
+      var attrs = {
+        email: 'not an email',
+        uuid: '1234',
+        url: 'trycelery.com',
+        status: 'pending',
+        price: 'abc',
+        user_id: 'trollolol',
+        location: {
+          type: 'Point',
+          coordinates: [200, 37.77]
+        }
+      };
+
+      var errors = testModel.validateAttributes(attrs, schema, []);
+      assert.deepEqual(_.map(errors, function(error) {
+        return error.keypath + ':' + error.rule;
+      }), [
+        'email:type',
+        'uuid:type',
+        'url:type',
+        'status:enum',
+        'price:type',
+        'user_id:type',
+        'location:type'
+      ]);
+      assert.strictEqual(errors[5].expected, 'ref:users');
+    });
+  });
+
+  describe('#setDeep', function() {
+    var testModel;
+
+    beforeEach(function() {
+      var TestModel = Model.extend({
+        defaults: helpers.requireFixture('defaults'),
+        schema: helpers.requireFixture('schema')
+      });
+      testModel = new TestModel();
+    });
+
+    it('should set a nested keypath', function() {
+      testModel.set('object.omg.wtf', 'lol');
+      assert.deepEqual(testModel.get('object'), {
+        foo: 'bar',
+        omg: {
+          wtf: 'lol'
+        }
+      });
+      assert.isFalse(_.has(testModel.attributes, 'object.omg.wtf'));
+    });
+
+    it('should create intermediate objects', function() {
+      testModel.set({
+        'object_defaults_empty.first.second.third.such': 'win'
+      });
+      assert.deepEqual(testModel.get('object_defaults_empty'), {
+        first: {
+          second: {
+            third: {
+              such: 'win'
+            }
+          }
+        }
+      });
+    });
+
+    it('should set a keypath inside an array', function() {
+      testModel.set('array_objects.1.foo', 'qux');
+      assert.deepEqual(testModel.get('array_objects'), [{
+        foo: 'bar'
+      }, {
+        foo: 'qux'
+      }]);
+    });
+
+    it('should validate against the nested schema', function() {
+      testModel.set('object.foo', 1234);
+      testModel.set('object.troll', 'lol');
+      assert.deepEqual(testModel.get('object'), {
+        foo: 'bar',
+        omg: {
+          wtf: 'bbq'
+        }
+      });
+
+      assert.isFalse(testModel.set('object.omg.wtf', 1234, {
+        strict: true
+      }));
+      assert.deepEqual(_.pluck(testModel.validationError.errors, 'keypath'), ['object.omg.wtf']);
+    });
+
+    it('should allow anything inside loosely defined schemas', function() {
+      testModel.set('object_empty.anything.goes', 1234);
+      assert.strictEqual(testModel.get('object_empty.anything.goes'), 1234);
+    });
+
+    it('should fire granular change events', function() {
+      var keypathSpy = sinon.spy();
+      var rootSpy = sinon.spy();
+      testModel.on('change:object.omg.wtf', keypathSpy);
+      testModel.on('change:object', rootSpy);
+
+      testModel.set('object.omg.wtf', 'lol');
+      testModel.set('object.omg.wtf', 'lol');
+
+      assert.isTrue(keypathSpy.calledOnce);
+      assert.isTrue(keypathSpy.calledWith(testModel, 'lol'));
+      assert.isTrue(rootSpy.calledOnce);
+    });
+
+    it('#patch should $set only the keypath of deep attributes', function() {
+      testModel.id = testModel.attributes._id = '53b4694cda836700006b61f2';
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({})
+      };
+
+      testModel.set('object.omg.wtf', 'lol');
+      return testModel.patch(testModel, {
+        success: _.noop,
+        error: _.noop
+      }).then(function() {
+        var obj = testModel.db.findAndModify.firstCall.args[2];
+        assert.strictEqual(obj.$set['object.omg.wtf'], 'lol');
+        assert.isUndefined(obj.$set.object);
+        assert.isUndefined(obj.$set._id);
+        assert.strictEqual(obj.$set.string, 'i am a string');
+      });
+    });
+  });
+
+  describe('#patch', function() {
+    var testModel;
+
+    beforeEach(function() {
+      var TestModel = Model.extend({
+        schema: function() {
+          return _.extend(helpers.requireFixture('schema')(), {
+            _id: 'id'
+          });
+        }
+      });
+      var attrs = _.extend(helpers.requireFixture('defaults')(), {
+        _id: '53b4694cda836700006b61f2'
+      });
+      testModel = new TestModel(attrs, {
+        parse: true
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({}),
+        findOne: sinon.stub().resolves({})
+      };
+    });
+
+    it('should $set and $unset only what changed since the last sync', function() {
+      testModel.set({
+        string: 'changed',
+        integer: null,
+        object: {
+          foo: 'bar',
+          omg: {
+            wtf: 'lol'
+          }
+        },
+        array_strings: ['a', 'b']
+      });
+      testModel.set('object_defaults_empty.first.second', {
+        third: {
+          such: 'win'
+        }
+      });
+
+      return testModel.patch(testModel, {
+        success: _.noop,
+        error: _.noop
+      }).then(function() {
+        var query = testModel.db.findAndModify.firstCall.args[1];
+        var obj = testModel.db.findAndModify.firstCall.args[2];
+        assert.deepEqual(query, {
+          _id: '53b4694cda836700006b61f2'
+        });
+        assert.deepEqual(obj, {
+          '$set': {
+            string: 'changed',
+            'object.omg.wtf': 'lol',
+            array_strings: ['a', 'b'],
+            'object_defaults_empty.first': {
+              second: {
+                third: {
+                  such: 'win'
+                }
+              }
+            }
+          },
+          '$unset': {
+            integer: ''
+          }
+        });
+      });
+    });
+
+    it('should read the document if nothing changed', function() {
+      testModel.set('string', 'i am a string');
+
+      return testModel.patch(testModel, {
+        success: _.noop,
+        error: _.noop
+      }).then(function() {
+        assert.isFalse(testModel.db.findAndModify.called);
+        assert.isTrue(testModel.db.findOne.calledOnce);
+      });
+    });
+
+    it('should $set defaults missing from the document', function() {
+      var TestModel = Model.extend({
+        defaults: {
+          status: 'open',
+          shipping: {
+            carrier: 'UPS'
+          }
+        },
+        schema: {
+          _id: 'id',
+          name: 'string',
+          status: 'string',
+          shipping: {
+            carrier: 'string',
+            cost: 'integer'
+          }
+        }
+      });
+      testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        name: 'a',
+        shipping: {
+          cost: 500
+        }
+      }, {
+        parse: true
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({})
+      };
+      testModel.set('name', 'b');
+
+      return testModel.patch(testModel, {
+        success: _.noop,
+        error: _.noop
+      }).then(function() {
+        assert.deepEqual(testModel.db.findAndModify.firstCall.args[2], {
+          '$set': {
+            name: 'b',
+            status: 'open',
+            'shipping.carrier': 'UPS'
+          }
+        });
+      });
+    });
+  });
+
+  describe('versionAttribute', function() {
+    var testModel;
+    var options;
+
+    beforeEach(function() {
+      var TestModel = Model.extend({
+        versionAttribute: 'version',
+        schema: function() {
+          return {
+            _id: 'id',
+            string: 'string'
+          };
+        }
+      });
+      testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        string: 'i am a string',
+        version: 3
+      }, {
+        parse: true
+      });
+      testModel.db = {
+        insert: sinon.stub().resolves([{}]),
+        findAndModify: sinon.stub().resolves({}),
+        findOne: sinon.stub().resolves(null)
+      };
+      options = {
+        success: _.noop,
+        error: _.noop
+      };
+    });
+
+    it('should add the version to the schema', function() {
+      assert.strictEqual(testModel.combinedSchema().version, 'uinteger');
+      assert.strictEqual(testModel.get('version'), 3);
+    });
+
+    it('should not set the version from a request', function() {
+      return testModel.setFromRequest({
+        string: 'changed',
+        version: 10
+      }).then(function() {
+        assert.strictEqual(testModel.get('version'), 3);
+      });
+    });
+
+    it('#create should start at version 1', function() {
+      return testModel.create(testModel, options).then(function() {
+        assert.strictEqual(testModel.db.insert.firstCall.args[1].version, 1);
+      });
+    });
+
+    it('#patch should match and increment the version', function() {
+      testModel.set('string', 'changed');
+
+      return testModel.patch(testModel, options).then(function() {
+        var query = testModel.db.findAndModify.firstCall.args[1];
+        var obj = testModel.db.findAndModify.firstCall.args[2];
+        assert.deepEqual(query, {
+          _id: '53b4694cda836700006b61f2',
+          version: 3
+        });
+        assert.deepEqual(obj, {
+          '$set': {
+            string: 'changed'
+          },
+          '$inc': {
+            version: 1
+          }
+        });
+      });
+    });
+
+    it('#update should replace the document with the next version', function() {
+      return testModel.update(testModel, options).then(function() {
+        var query = testModel.db.findAndModify.firstCall.args[1];
+        var obj = testModel.db.findAndModify.firstCall.args[2];
+        assert.strictEqual(query.version, 3);
+        assert.strictEqual(obj.version, 4);
+      });
+    });
+
+    it('should reject with a 409 if the document has another version', function() {
+      testModel.db.findAndModify = sinon.stub().resolves(null);
+      testModel.db.findOne = sinon.stub().resolves({
+        _id: '53b4694cda836700006b61f2',
+        version: 4
+      });
+      testModel.set('string', 'changed');
+
+      return testModel.patch(testModel, options).then(function() {
+        throw new Error('Should have been rejected');
+      }, function(err) {
+        assert.instanceOf(err, BootieError.ConflictError);
+        assert.strictEqual(err.code, 409);
+        assert.deepEqual(testModel.db.findOne.firstCall.args[1], {
+          _id: '53b4694cda836700006b61f2'
+        });
+      });
+    });
+
+    it('should reject with a 404 if required and the document does not exist', function() {
+      testModel.db.findAndModify = sinon.stub().resolves(null);
+      testModel.set('string', 'changed');
+
+      return testModel.patch(testModel, _.extend(options, {
+        require: true
+      })).then(function() {
+        throw new Error('Should have been rejected');
+      }, function(err) {
+        assert.strictEqual(err.code, 404);
+        assert.isUndefined(testModel.db.findAndModify.firstCall.args[3].require);
+      });
+    });
+
+    it('#patch should reject with a 409 if nothing changed but the version is stale', function() {
+      testModel.db.findOne = sinon.stub().resolves(null);
+      testModel.db.findOne.withArgs('models', {
+        _id: '53b4694cda836700006b61f2'
+      }).resolves({
+        _id: '53b4694cda836700006b61f2',
+        version: 4
+      });
+
+      return testModel.patch(testModel, options).then(function() {
+        throw new Error('Should have been rejected');
+      }, function(err) {
+        assert.instanceOf(err, BootieError.ConflictError);
+        assert.deepEqual(testModel.db.findOne.firstCall.args[1], {
+          _id: '53b4694cda836700006b61f2',
+          version: 3
+        });
+        assert.isFalse(testModel.db.findAndModify.called);
+      });
+    });
+
+    it('#delete should only match the version of a model that has one', function() {
+      testModel.db.remove = sinon.stub().resolves(1);
+
+      return testModel.delete(testModel, options).then(function() {
+        assert.deepEqual(testModel.db.remove.firstCall.args[1], {
+          _id: '53b4694cda836700006b61f2',
+          version: 3
+        });
+
+        testModel.unset('version');
+        return testModel.delete(testModel, options);
+      }).then(function() {
+        assert.deepEqual(testModel.db.remove.secondCall.args[1], {
+          _id: '53b4694cda836700006b61f2'
+        });
+        assert.isFalse(testModel.db.findOne.called);
+      });
+    });
+  });
+
+  describe('timestamps', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        timestamps: true,
+        schema: function() {
+          return {
+            _id: 'id',
+            string: 'string'
+          };
+        }
+      });
+    });
+
+    it('should add timestamps to the schema', function() {
+      var testModel = new TestModel();
+      assert.strictEqual(testModel.combinedSchema().created, 'timestamp');
+      assert.strictEqual(testModel.combinedSchema().updated, 'timestamp');
+
+      testModel.timestamps = 'date';
+      assert.strictEqual(testModel.combinedSchema().created, 'date');
+    });
+
+    it('should not set timestamps from a request', function() {
+      var testModel = new TestModel();
+
+      return testModel.setFromRequest({
+        created: 1407396108803,
+        updated: 1407396108803
+      }).then(function() {
+        assert.isUndefined(testModel.get('created'));
+        assert.isUndefined(testModel.get('updated'));
+      });
+    });
+
+    it('#save should set created and updated on insert', function() {
+      var testModel = new TestModel({
+        string: 'new'
+      });
+      testModel.db = {
+        insert: sinon.stub().resolves([{}])
+      };
+
+      return testModel.save().then(function() {
+        var doc = testModel.db.insert.firstCall.args[1];
+        assert.isTrue(_.isTimestamp(doc.created));
+        assert.strictEqual(doc.created, doc.updated);
+      });
+    });
+
+    it('#save should only set updated on update', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        created: 1407396108803,
+        updated: 1407396108803
+      }, {
+        parse: true
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({})
+      };
+      testModel.timestamps = 'date';
+
+      return testModel.save().then(function() {
+        var obj = testModel.db.findAndModify.firstCall.args[2];
+        assert.deepEqual(_.keys(obj.$set), ['updated']);
+        assert.isTrue(_.isDate(obj.$set.updated));
+      });
+    });
+  });
+
+  describe('softDelete', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        softDelete: true,
+        schema: function() {
+          return {
+            _id: 'id',
+            string: 'string'
+          };
+        }
+      });
+    });
+
+    it('should add deleted to the schema', function() {
+      var testModel = new TestModel();
+      assert.strictEqual(testModel.combinedSchema().deleted, 'timestamp');
+    });
+
+    it('#delete should set deleted instead of removing', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2'
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({}),
+        remove: sinon.stub().resolves(1)
+      };
+
+      return testModel.destroy().then(function(resp) {
+        assert.strictEqual(resp, 1);
+        assert.isFalse(testModel.db.remove.called);
+
+        var args = testModel.db.findAndModify.firstCall.args;
+        assert.deepEqual(args[1], {
+          _id: '53b4694cda836700006b61f2',
+          deleted: null
+        });
+        assert.isTrue(_.isTimestamp(args[2].$set.deleted));
+      });
+    });
+
+    it('#delete should resolve 0 if already deleted', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2'
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves(null)
+      };
+
+      return testModel.destroy().then(function(resp) {
+        assert.strictEqual(resp, 0);
+      });
+    });
+
+    it('#fetch should exclude deleted documents', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2'
+      });
+      testModel.db = {
+        findOne: sinon.stub().resolves({})
+      };
+
+      return testModel.fetch().then(function() {
+        assert.strictEqual(testModel.db.findOne.firstCall.args[1].deleted, null);
+        return testModel.fetch({
+          includeDeleted: true
+        });
+      }).then(function() {
+        assert.notProperty(testModel.db.findOne.secondCall.args[1], 'deleted');
+      });
+    });
+
+    it('#restore should unset deleted', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        deleted: 1407396108803
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({
+          _id: '53b4694cda836700006b61f2',
+          string: 'restored'
+        })
+      };
+
+      return testModel.restore().then(function() {
+        var args = testModel.db.findAndModify.firstCall.args;
+        assert.deepEqual(args[1].deleted, {
+          '$ne': null
+        });
+        assert.deepEqual(args[2], {
+          '$unset': {
+            deleted: ''
+          }
+        });
+        assert.isUndefined(testModel.get('deleted'));
+        assert.strictEqual(testModel.get('string'), 'restored');
+      });
+    });
+
+    it('#restore should fail without softDelete', function() {
+      var testModel = new Model({
+        _id: '53b4694cda836700006b61f2'
+      });
+
+      return assert.isRejected(testModel.restore(), /softDelete/);
+    });
+
+    it('Collection should exclude deleted documents', function() {
+      var TestCollection = Collection.extend({
+        model: TestModel
+      });
+      var collection = new TestCollection();
+      collection.db = {
+        find: sinon.stub().resolves([[], 0]),
+        count: sinon.stub().resolves(0)
+      };
+
+      return collection.fetch({
+        query: {
+          string: 'test'
+        }
+      }).then(function() {
+        assert.deepEqual(collection.db.find.firstCall.args[1], {
+          string: 'test',
+          deleted: null
+        });
+        return collection.count({
+          includeDeleted: true
+        });
+      }).then(function() {
+        assert.deepEqual(collection.db.count.firstCall.args[1], {});
+      });
+    });
+  });
+
+  describe('relations', function() {
+    var User, Product, Item, Order;
+    var db;
+
+    beforeEach(function() {
+      User = Model.extend({
+        urlRoot: 'users',
+        schema: function() {
+          return {
+            _id: 'id',
+            name: 'string'
+          };
+        }
+      });
+      Product = Model.extend({
+        urlRoot: 'products',
+        schema: function() {
+          return {
+            _id: 'id',
+            name: 'string'
+          };
+        }
+      });
+      Item = Model.extend({
+        urlRoot: 'items',
+        relations: function() {
+          return {
+            product: {
+              type: 'belongsTo',
+              model: Product,
+              foreignKey: 'product_id'
+            }
+          };
+        },
+        schema: function() {
+          return {
+            _id: 'id',
+            order_id: 'id',
+            product_id: 'id'
+          };
+        }
+      });
+      Order = Model.extend({
+        urlRoot: 'orders',
+        relations: function() {
+          return {
+            user: {
+              type: 'belongsTo',
+              model: User,
+              foreignKey: 'user_id'
+            },
+            items: {
+              type: 'hasMany',
+              model: Item,
+              foreignKey: 'order_id'
+            },
+            firstItem: {
+              type: 'hasOne',
+              model: Item,
+              foreignKey: 'order_id'
+            }
+          };
+        },
+        schema: function() {
+          return {
+            _id: 'id',
+            user_id: 'id'
+          };
+        }
+      });
+
+      db = {
+        find: sinon.stub()
+      };
+      db.find.withArgs('users').resolves([[{
+        _id: '53b4694cda836700006b61a1',
+        name: 'Sam'
+      }], 1]);
+      db.find.withArgs('items').resolves([[{
+        _id: '53b4694cda836700006b61c1',
+        order_id: '53b4694cda836700006b61b1',
+        product_id: '53b4694cda836700006b61d1'
+      }, {
+        _id: '53b4694cda836700006b61c2',
+        order_id: '53b4694cda836700006b61b2',
+        product_id: '53b4694cda836700006b61d1'
+      }], 2]);
+      db.find.withArgs('products').resolves([[{
+        _id: '53b4694cda836700006b61d1',
+        name: 'Widget'
+      }], 1]);
+    });
+
+    var orders = function() {
+      return _.map(['53b4694cda836700006b61b1', '53b4694cda836700006b61b2'], function(id) {
+        var order = new Order({
+          _id: id,
+          user_id: '53b4694cda836700006b61a1'
+        });
+        order.db = db;
+        return order;
+      });
+    };
+
+    it('#populateModels should load each relation with one $in query', function() {
+      var models = orders();
+
+      return models[0].populateModels(models, ['user', 'items']).then(function() {
+        assert.strictEqual(db.find.callCount, 2);
+        assert.deepEqual(db.find.withArgs('users').firstCall.args[1], {
+          _id: {
+            '$in': ['53b4694cda836700006b61a1']
+          }
+        });
+        assert.deepEqual(db.find.withArgs('items').firstCall.args[1], {
+          order_id: {
+            '$in': ['53b4694cda836700006b61b1', '53b4694cda836700006b61b2']
+          }
+        });
+
+        assert.strictEqual(models[0].related.user, models[1].related.user);
+        assert.strictEqual(models[0].related.user.get('name'), 'Sam');
+        assert.lengthOf(models[0].related.items, 1);
+        assert.strictEqual(models[1].related.items[0].id, '53b4694cda836700006b61c2');
+      });
+    });
+
+    it('#populateModels should populate hasOne and nested relations', function() {
+      var models = orders();
+
+      return models[0].populateModels(models, ['firstItem', 'items.product']).then(function() {
+        assert.strictEqual(db.find.withArgs('products').callCount, 1);
+        assert.strictEqual(models[1].related.firstItem.id, '53b4694cda836700006b61c2');
+        assert.strictEqual(models[0].related.items[0].related.product.get('name'), 'Widget');
+      });
+    });
+
+    it('#populateModels should decrypt related models with the keys of the db', function() {
+      var key = '13741c7ec3a809950ed8e75c1abcfa0e8f9994b2b79d7a895c2e383f28c8a792';
+      var models = orders();
+      User.prototype.schema = function() {
+        return {
+          _id: 'id',
+          name: {
+            type: 'string',
+            encrypted: true
+          }
+        };
+      };
+      db.encryption = {
+        keyId: 'k1',
+        keys: {
+          k1: key
+        }
+      };
+      db.find.withArgs('users').resolves([[{
+        _id: '53b4694cda836700006b61a1',
+        name: _.encryptStringGCM('"Sam"', key, 'k1')
+      }], 1]);
+
+      return models[0].populateModels(models, ['user']).then(function() {
+        assert.strictEqual(models[0].related.user.get('name'), 'Sam');
+        assert.strictEqual(models[0].related.user.db, db);
+      });
+    });
+
+    it('#populateModels should reject unknown relations with a 400', function() {
+      var models = orders();
+
+      return models[0].populateModels(models, ['items.user']).then(function() {
+        assert.fail();
+      }).catch(function(err) {
+        assert.strictEqual(err.code, 400);
+        assert.match(err.message, /`user`/);
+        assert.isFalse(db.find.called);
+      });
+    });
+
+    it('#render should render populated relations', function() {
+      var order = orders()[0];
+
+      return order.populate(['user', 'items']).then(function() {
+        var json = order.render();
+        assert.deepEqual(json.user, {
+          _id: '53b4694cda836700006b61a1',
+          name: 'Sam'
+        });
+        assert.strictEqual(json.items[0]._id, '53b4694cda836700006b61c1');
+        assert.strictEqual(json.user_id, '53b4694cda836700006b61a1');
+      });
+    });
+
+    it('#fetch should populate', function() {
+      var order = orders()[0];
+      db.findOne = sinon.stub().resolves({
+        _id: '53b4694cda836700006b61b1',
+        user_id: '53b4694cda836700006b61a1'
+      });
+
+      return order.fetch({
+        populate: ['user']
+      }).then(function() {
+        assert.strictEqual(order.related.user.get('name'), 'Sam');
+      });
+    });
+
+    it('Collection#fetch should populate all models at once', function() {
+      var OrderCollection = Collection.extend({
+        model: Order
+      });
+      var collection = new OrderCollection();
+      collection.db = db;
+      var resp = [_.invoke(orders(), 'toJSON'), 2];
+      db.find.withArgs('orders').callsArgWith(3, null, resp).resolves(resp);
+
+      return collection.fetch({
+        populate: ['user']
+      }).then(function() {
+        assert.strictEqual(db.find.withArgs('users').callCount, 1);
+        assert.strictEqual(collection.at(1).related.user.get('name'), 'Sam');
+      });
+    });
+  });
+
+  describe('embedded models and collections', function() {
+    var Address, Item, Items, Order;
+
+    beforeEach(function() {
+      Address = Model.extend({
+        hiddenAttributes: {
+          geo: true
+        },
+        defaults: function() {
+          return {
+            country: 'US'
+          };
+        },
+        schema: function() {
+          return {
+            city: 'string',
+            country: 'string',
+            geo: 'geopoint'
+          };
+        }
+      });
+      Item = Model.extend({
+        hiddenAttributes: {
+          cost: true
+        },
+        schema: function() {
+          return {
+            sku: {
+              type: 'string',
+              required: true
+            },
+            qty: 'integer',
+            cost: 'money'
+          };
+        }
+      });
+      Items = Collection.extend({
+        model: Item
+      });
+      Order = Model.extend({
+        schema: function() {
+          return {
+            _id: 'id',
+            address: Address,
+            items: Items
+          };
+        }
+      });
+    });
+
+    it('should hydrate embedded instances on set and parse', function() {
+      var order = new Order({
+        address: {
+          city: 'SF'
+        },
+        items: [{
+          sku: 'a',
+          qty: '2'
+        }]
+      }, {
+        parse: true
+      });
+
+      assert.instanceOf(order.get('address'), Address);
+      assert.strictEqual(order.get('address').get('country'), 'US');
+      assert.instanceOf(order.get('items'), Items);
+      assert.instanceOf(order.get('items').at(0), Item);
+      assert.strictEqual(order.get('items').at(0).get('qty'), 2);
+    });
+
+    it('should keep instances and remove invalid values', function() {
+      var address = new Address({
+        city: 'SF'
+      });
+      var order = new Order({
+        address: address,
+        items: 'abc'
+      });
+
+      assert.strictEqual(order.get('address'), address);
+      assert.isUndefined(order.get('items'));
+    });
+
+    it('should get and set keypaths inside embedded instances', function() {
+      var order = new Order({
+        address: {
+          city: 'SF'
+        },
+        items: [{
+          sku: 'a'
+        }]
+      });
+
+      assert.strictEqual(order.get('address.city'), 'SF');
+      assert.strictEqual(order.get('items.0.sku'), 'a');
+
+      order.set('address.city', 'LA');
+      order.set('items.0.qty', 3);
+      assert.instanceOf(order.get('address'), Address);
+      assert.strictEqual(order.get('address.city'), 'LA');
+      assert.strictEqual(order.get('items').at(0).get('qty'), 3);
+    });
+
+    it('#toJSON should serialize embedded instances', function() {
+      var order = new Order({
+        address: {
+          city: 'SF',
+          geo: [-122.4, 37.8]
+        },
+        items: [{
+          sku: 'a',
+          cost: 100
+        }]
+      });
+
+      var json = order.toJSON();
+      assert.isTrue(_.isPlainObject(json.address));
+      assert.deepEqual(json.items, [{
+        sku: 'a',
+        cost: 100
+      }]);
+      assert.deepEqual(json.address.geo.coordinates, [-122.4, 37.8]);
+    });
+
+    it('#render should remove hidden attributes of embedded instances', function() {
+      var order = new Order({
+        address: {
+          city: 'SF',
+          geo: [-122.4, 37.8]
+        },
+        items: [{
+          sku: 'a',
+          cost: 100
+        }]
+      });
+
+      var json = order.render();
+      assert.deepEqual(json.address, {
+        city: 'SF',
+        country: 'US'
+      });
+      assert.deepEqual(json.items, [{
+        sku: 'a'
+      }]);
+    });
+
+    it('should fail strict validation inside embedded instances', function() {
+      var order = new Order();
+
+      var result = order.set({
+        address: {
+          city: 123
+        },
+        items: [{
+          sku: 'a'
+        }, 'b']
+      }, {
+        strict: true
+      });
+
+      assert.isFalse(result);
+      assert.deepEqual(_.pluck(order.validationError.errors, 'keypath'), [
+        'address.city',
+        'items.1'
+      ]);
+      assert.strictEqual(order.validationError.errors[0].message, '`address.city` must be of type `string`.');
+    });
+
+    it('#validate should check required attributes inside embedded instances', function() {
+      var order = new Order({
+        items: [{
+          qty: 1
+        }]
+      });
+
+      var err = order.validate(order.attributes);
+      assert.instanceOf(err, BootieError.ValidationError);
+      assert.strictEqual(err.errors[0].keypath, 'items.0.sku');
+    });
+  });
+
+  describe('#removeAttributes inside arrays', function() {
+    it('should remove attributes from each object in an array', function() {
+      var testModel = new Model();
+      var attrs = {
+        items: [{
+          sku: 'a',
+          cost: 100
+        }, {
+          sku: 'b',
+          cost: 200
+        }],
+        tags: ['a']
+      };
+
+      testModel.removeAttributes(attrs, {
+        items: {
+          cost: true
+        },
+        tags: true
+      });
+      assert.deepEqual(attrs, {
+        items: [{
+          sku: 'a'
+        }, {
+          sku: 'b'
+        }]
+      });
+    });
+  });
+
+  describe('virtuals', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        virtuals: {
+          full_name: function() {
+            return this.get('first_name') + ' ' + this.get('last_name');
+          },
+          total_dollars: function() {
+            return _.centsToDollars(this.get('total'));
+          }
+        },
+        schema: function() {
+          return {
+            first_name: 'string',
+            last_name: 'string',
+            total: 'integer'
+          };
+        }
+      });
+    });
+
+    it('should get virtuals', function() {
+      var testModel = new TestModel({
+        first_name: 'Sam',
+        last_name: 'Smith',
+        total: 1250
+      });
+
+      assert.strictEqual(testModel.get('full_name'), 'Sam Smith');
+      assert.strictEqual(testModel.get('total_dollars'), '12.50');
+    });
+
+    it('should not set or serialize virtuals', function() {
+      var testModel = new TestModel({
+        first_name: 'Sam',
+        full_name: 'Someone Else'
+      });
+      testModel.set('total_dollars', '1.00');
+
+      assert.notProperty(testModel.attributes, 'full_name');
+      assert.notProperty(testModel.attributes, 'total_dollars');
+      assert.notProperty(testModel.toJSON(), 'full_name');
+    });
+
+    it('#render should render virtuals', function() {
+      var testModel = new TestModel({
+        first_name: 'Sam',
+        last_name: 'Smith',
+        total: 1250
+      });
+
+      assert.strictEqual(testModel.render().full_name, 'Sam Smith');
+      assert.deepEqual(_.keys(testModel.render({
+        virtuals: ['total_dollars']
+      })), ['first_name', 'last_name', 'total', 'total_dollars']);
+      assert.notProperty(testModel.render({
+        virtuals: false
+      }), 'full_name');
+    });
+  });
+
+  describe('encrypted attributes', function() {
+    var TestModel;
+    var keys = {
+      k1: '13741c7ec3a809950ed8e75c1abcfa0e8f9994b2b79d7a895c2e383f28c8a792',
+      k2: '8f9994b2b79d7a895c2e383f28c8a79213741c7ec3a809950ed8e75c1abcfa0e'
+    };
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        encryption: {
+          keyId: 'k2',
+          keys: keys
+        },
+        schema: function() {
+          return {
+            _id: 'id',
+            name: 'string',
+            ssn: {
+              type: 'string',
+              encrypted: true
+            },
+            profile: {
+              pin: {
+                type: 'integer',
+                encrypted: true
+              }
+            }
+          };
+        }
+      });
+    });
+
+    it('#create should encrypt with the current key', function() {
+      var testModel = new TestModel({
+        name: 'Sam',
+        ssn: '123-45-6789',
+        profile: {
+          pin: 1234
+        }
+      });
+      testModel.db = {
+        insert: sinon.stub().resolves([{}])
+      };
+
+      return testModel.save().then(function() {
+        var doc = testModel.db.insert.firstCall.args[1];
+        assert.strictEqual(doc.name, 'Sam');
+        assert.isTrue(_.isEncryptedGCM(doc.ssn));
+        assert.strictEqual(doc.ssn.split(':')[0], 'k2');
+        assert.strictEqual(_.decryptStringGCM(doc.profile.pin, keys), '1234');
+        assert.strictEqual(testModel.get('ssn'), '123-45-6789');
+      });
+    });
+
+    it('#parse should decrypt with the key of the prefix', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        ssn: _.encryptStringGCM('"123-45-6789"', keys.k1, 'k1'),
+        profile: {
+          pin: _.encryptStringGCM('1234', keys.k2, 'k2')
+        }
+      }, {
+        parse: true
+      });
+
+      assert.strictEqual(testModel.get('ssn'), '123-45-6789');
+      assert.strictEqual(testModel.get('profile.pin'), 1234);
+    });
+
+    it('#patch should only encrypt changed keypaths', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        name: 'Sam',
+        ssn: _.encryptStringGCM('"123-45-6789"', keys.k1, 'k1'),
+        profile: {
+          pin: _.encryptStringGCM('1234', keys.k1, 'k1')
+        }
+      }, {
+        parse: true
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({})
+      };
+
+      testModel.set('profile.pin', 4321);
+      return testModel.patch(testModel, {
+        success: _.noop,
+        error: _.noop
+      }).then(function() {
+        var obj = testModel.db.findAndModify.firstCall.args[2];
+        assert.deepEqual(_.keys(obj.$set), ['profile.pin']);
+        assert.strictEqual(_.decryptStringGCM(obj.$set['profile.pin'], keys), '4321');
+      });
+    });
+
+    it('should leave values that are not encrypted as is', function() {
+      var testModel = new TestModel({
+        ssn: '123-45-6789'
+      }, {
+        parse: true
+      });
+
+      assert.strictEqual(testModel.get('ssn'), '123-45-6789');
+    });
+
+    it('should default to the keys of the db', function() {
+      var DbKeysModel = TestModel.extend({
+        encryption: null
+      });
+      var testModel = new DbKeysModel();
+      testModel.db = {
+        encryption: {
+          keyId: 'k1',
+          keys: keys
+        }
+      };
+
+      var attrs = testModel.encryptAttributes({
+        ssn: '123-45-6789'
+      });
+      assert.strictEqual(attrs.ssn.split(':')[0], 'k1');
+
+      // Models parsed by a collection use its db
+      var collection = new Collection();
+      collection.db = testModel.db;
+      assert.strictEqual(new DbKeysModel(null, {
+        collection: collection
+      }).getEncryption().keyId, 'k1');
+    });
+
+    it('should throw without an encryption key', function() {
+      var testModel = new TestModel();
+      testModel.encryption = null;
+
+      assert.throws(function() {
+        testModel.encryptAttributes({
+          ssn: '123-45-6789'
+        });
+      }, /encryption/);
+    });
+
+    it('should reject tampered values', function() {
+      var ssn = _.encryptStringGCM('"123-45-6789"', keys.k1, 'k1');
+
+      assert.throws(function() {
+        new TestModel({
+          ssn: ssn.slice(0, -4) + 'AAAA'
+        }, {
+          parse: true
+        });
+      });
+    });
+  });
+
+  describe('attributePolicies', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        attributePolicies: {
+          status: {
+            write: ['admin']
+          },
+          internal_notes: {
+            read: ['admin', 'support'],
+            write: ['admin']
+          },
+          'shipping.cost': {
+            read: ['admin']
+          }
+        },
+        schema: function() {
+          return {
+            name: 'string',
+            status: 'string',
+            internal_notes: 'string',
+            shipping: {
+              carrier: 'string',
+              cost: 'integer'
+            }
+          };
+        }
+      });
+    });
+
+    var attrs = function() {
+      return {
+        name: 'Order',
+        status: 'open',
+        internal_notes: 'VIP',
+        shipping: {
+          carrier: 'UPS',
+          cost: 500
+        }
+      };
+    };
+
+    it('#resolveRoles should read roles of a user', function() {
+      var testModel = new TestModel();
+      assert.deepEqual(testModel.resolveRoles(), []);
+      assert.deepEqual(testModel.resolveRoles({
+        role: 'admin'
+      }), ['admin']);
+      assert.deepEqual(testModel.resolveRoles(new Model({
+        roles: ['admin', 'support']
+      })), ['admin', 'support']);
+    });
+
+    it('#render should only render readable attributes', function() {
+      var testModel = new TestModel(attrs());
+
+      testModel.user = {
+        roles: ['admin']
+      };
+      assert.deepEqual(testModel.render(), attrs());
+
+      testModel.user = {
+        roles: ['support']
+      };
+      assert.deepEqual(testModel.render().shipping, {
+        carrier: 'UPS'
+      });
+      assert.strictEqual(testModel.render().internal_notes, 'VIP');
+
+      testModel.user = null;
+      assert.notProperty(testModel.render(), 'internal_notes');
+    });
+
+    it('#setFromRequest should only set writable attributes', function() {
+      var testModel = new TestModel(attrs());
+      testModel.user = {
+        role: 'user'
+      };
+
+      return testModel.setFromRequest({
+        name: 'Renamed',
+        status: 'closed',
+        internal_notes: 'Nope'
+      }).then(function() {
+        assert.strictEqual(testModel.get('name'), 'Renamed');
+        assert.strictEqual(testModel.get('status'), 'open');
+        assert.strictEqual(testModel.get('internal_notes'), 'VIP');
+
+        testModel.user = {
+          role: 'admin'
+        };
+        return testModel.setFromRequest({
+          status: 'closed'
+        });
+      }).then(function() {
+        assert.strictEqual(testModel.get('status'), 'closed');
+      });
+    });
+
+    it('#setFromRequest should not set unwritable keypaths', function() {
+      var ShippingModel = TestModel.extend({
+        attributePolicies: {
+          shipping: {
+            write: ['admin']
+          }
+        }
+      });
+      var testModel = new ShippingModel(attrs());
+      testModel.user = {
+        role: 'user'
+      };
+
+      return testModel.setFromRequest({
+        'name': 'Renamed',
+        'shipping.cost': 0
+      }).then(function() {
+        assert.strictEqual(testModel.get('name'), 'Renamed');
+        assert.deepEqual(testModel.get('shipping'), {
+          carrier: 'UPS',
+          cost: 500
+        });
+      });
+    });
+  });
+
+  describe('views', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        hiddenAttributes: {
+          secret: true
+        },
+        views: {
+          summary: ['name', 'shipping.city', 'items.sku', 'label', 'secret'],
+          public: {
+            name: true,
+            shipping: {
+              city: true
+            }
+          },
+          custom: function(json) {
+            return {
+              title: json.name.toUpperCase()
+            };
+          }
+        },
+        virtuals: {
+          label: function() {
+            return this.get('name') + '!';
+          }
+        },
+        schema: function() {
+          return {
+            name: 'string',
+            secret: 'string',
+            shipping: {
+              city: 'string',
+              zip: 'string'
+            },
+            items: [{
+              sku: 'string',
+              qty: 'integer'
+            }]
+          };
+        }
+      });
+    });
+
+    var testModel = function() {
+      return new TestModel({
+        name: 'order',
+        secret: 'shh',
+        shipping: {
+          city: 'SF',
+          zip: '94107'
+        },
+        items: [{
+          sku: 'a',
+          qty: 1
+        }]
+      });
+    };
+
+    it('#render should render a view of keypaths', function() {
+      assert.deepEqual(testModel().render('summary'), {
+        name: 'order',
+        label: 'order!',
+        shipping: {
+          city: 'SF'
+        },
+        items: [{
+          sku: 'a'
+        }]
+      });
+    });
+
+    it('#render should render a view of a nested hash', function() {
+      assert.deepEqual(testModel().render('public'), {
+        name: 'order',
+        shipping: {
+          city: 'SF'
+        }
+      });
+    });
+
+    it('#render should render a view function', function() {
+      assert.deepEqual(testModel().render('custom'), {
+        title: 'ORDER'
+      });
+    });
+
+    it('#render should render everything without a view', function() {
+      assert.strictEqual(testModel().render().shipping.zip, '94107');
+      assert.strictEqual(testModel().render({
+        virtuals: false
+      }).items[0].qty, 1);
+    });
+
+    it('#render should throw a 400 for an unknown view', function() {
+      assert.throws(function() {
+        testModel().render('nope');
+      }, /Unknown view `nope`/);
+    });
+  });
+
+  describe('audit', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        urlRoot: 'orders',
+        audit: true,
+        hiddenAttributes: {
+          secret: true
+        },
+        schema: function() {
+          return {
+            _id: 'id',
+            total: 'integer',
+            secret: 'string'
+          };
+        }
+      });
+    });
+
+    it('#save should write a create record', function() {
+      var testModel = new TestModel({
+        total: 100
+      });
+      testModel.user = {
+        _id: '53b4694cda836700006b61a1'
+      };
+      testModel.db = {
+        insert: sinon.spy(function(collection, doc, callback) {
+          if (callback) {
+            callback(null, [{
+              _id: '53b4694cda836700006b61f2',
+              total: 100
+            }]);
+          }
+          return Promise.resolve([doc]);
+        })
+      };
+
+      return testModel.save().then(function() {
+        var args = testModel.db.insert.secondCall.args;
+        assert.strictEqual(args[0], 'orders_history');
+        assert.strictEqual(args[1].document_id, '53b4694cda836700006b61f2');
+        assert.strictEqual(args[1].action, 'create');
+        assert.deepEqual(args[1].previous, {});
+        assert.deepEqual(args[1].changed, {
+          _id: '53b4694cda836700006b61f2',
+          total: 100
+        });
+        assert.strictEqual(args[1].user_id, '53b4694cda836700006b61a1');
+        assert.isTrue(_.isTimestamp(args[1].created));
+      });
+    });
+
+    it('#save should write the changes from the request', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        total: 100
+      }, {
+        parse: true
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({}),
+        insert: sinon.stub().resolves([{}])
+      };
+
+      return testModel.setFromRequest({
+        total: 200
+      }).then(function() {
+        return testModel.save();
+      }).then(function() {
+        var record = testModel.db.insert.firstCall.args[1];
+        assert.strictEqual(record.action, 'update');
+        assert.deepEqual(record.previous, {
+          total: 100
+        });
+        assert.deepEqual(record.changed, {
+          total: 200
+        });
+        assert.isNull(record.user_id);
+      });
+    });
+
+    it('#save should write the changes since the last sync', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        total: 100
+      }, {
+        parse: true
+      });
+      testModel.db = {
+        findAndModify: sinon.stub().resolves({}),
+        insert: sinon.stub().resolves([{}])
+      };
+
+      testModel.set('total', 300);
+      return testModel.save().then(function() {
+        assert.deepEqual(testModel.db.insert.firstCall.args[1].changed, {
+          total: 300
+        });
+      });
+    });
+
+    it('#save should only write the request changes once', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        total: 1
+      }, {
+        parse: true
+      });
+      testModel.db = {
+        findAndModify: sinon.spy(function() {
+          return Promise.resolve(testModel.toJSON());
+        }),
+        insert: sinon.stub().resolves([{}])
+      };
+
+      return testModel.setFromRequest({
+        total: 5
+      }).then(function() {
+        return testModel.save();
+      }).then(function() {
+        testModel.set('secret', 'paid');
+        return testModel.save();
+      }).then(function() {
+        var record = testModel.db.insert.secondCall.args[1];
+        assert.deepEqual(record.previous, {});
+        assert.deepEqual(record.changed, {
+          secret: 'paid'
+        });
+      });
+    });
+
+    it('#destroy should write a delete record', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        total: 100
+      });
+      testModel.db = {
+        remove: sinon.stub().resolves(1),
+        insert: sinon.stub().resolves([{}])
+      };
+
+      return testModel.destroy().then(function(resp) {
+        assert.strictEqual(resp, 1);
+        var record = testModel.db.insert.firstCall.args[1];
+        assert.strictEqual(record.action, 'delete');
+        assert.strictEqual(record.previous.total, 100);
+      });
+    });
+
+    it('#destroy should not write a record if nothing was deleted', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2'
+      });
+      testModel.db = {
+        remove: sinon.stub().resolves(0),
+        insert: sinon.stub().resolves([{}])
+      };
+
+      return testModel.destroy().then(function() {
+        assert.isFalse(testModel.db.insert.called);
+      });
+    });
+
+    it('#fetchHistory should find records without hidden attributes', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2'
+      });
+      testModel.db = {
+        find: sinon.stub().resolves([[{
+          action: 'update',
+          previous: {
+            total: 100,
+            secret: 'a'
+          },
+          changed: {
+            total: 200,
+            secret: 'b'
+          }
+        }], 1])
+      };
+
+      return testModel.fetchHistory({
+        limit: 10
+      }).then(function(records) {
+        var args = testModel.db.find.firstCall.args;
+        assert.strictEqual(args[0], 'orders_history');
+        assert.deepEqual(args[1], {
+          document_id: '53b4694cda836700006b61f2'
+        });
+        assert.strictEqual(args[2].limit, 10);
+        assert.deepEqual(records[0].changed, {
+          total: 200
+        });
+      });
+    });
+  });
+
+  describe('sequence', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        urlRoot: 'orders',
+        schema: function() {
+          return {
+            _id: 'id',
+            user_id: 'id',
+            order_number: {
+              type: 'uinteger',
+              sequence: 'order_number'
+            },
+            invoice_number: {
+              type: 'uinteger',
+              sequence: 'invoice_number',
+              perUser: true
+            }
+          };
+        }
+      });
+    });
+
+    it('#create should fill sequence attributes from their counters', function() {
+      var testModel = new TestModel({
+        user_id: '53b4694cda836700006b61a1'
+      });
+      testModel.db = {
+        getNextSequence: sinon.stub().resolves(7),
+        insert: sinon.stub().callsArgWith(2, null, [{}]).resolves([{}])
+      };
+
+      return testModel.save().then(function() {
+        var getNextSequence = testModel.db.getNextSequence;
+        assert.strictEqual(getNextSequence.callCount, 2);
+        assert.deepEqual(getNextSequence.firstCall.args, ['counters', {
+          _id: 'order_number'
+        }, {
+          upsert: true
+        }]);
+        assert.deepEqual(getNextSequence.secondCall.args[1], {
+          _id: 'invoice_number:53b4694cda836700006b61a1'
+        });
+
+        var attrs = testModel.db.insert.firstCall.args[1];
+        assert.strictEqual(attrs.order_number, 7);
+        assert.strictEqual(attrs.invoice_number, 7);
+      });
+    });
+
+    it('#create should not replace a sequence attribute that is set', function() {
+      var testModel = new TestModel({
+        user_id: '53b4694cda836700006b61a1',
+        order_number: 3,
+        invoice_number: 4
+      });
+      testModel.db = {
+        getNextSequence: sinon.stub().resolves(7),
+        insert: sinon.stub().callsArgWith(2, null, [{}]).resolves([{}])
+      };
+
+      return testModel.save().then(function() {
+        assert.isFalse(testModel.db.getNextSequence.called);
+        assert.strictEqual(testModel.db.insert.firstCall.args[1].order_number, 3);
+      });
+    });
+
+    it('#create should reject a per user sequence without a user', function() {
+      var testModel = new TestModel();
+      testModel.db = {
+        getNextSequence: sinon.stub().resolves(7),
+        insert: sinon.stub().callsArgWith(2, null, [{}]).resolves([{}])
+      };
+
+      return testModel.save().then(function() {
+        assert.fail('should have rejected');
+      }, function(err) {
+        assert.strictEqual(err.code, 400);
+        assert.isFalse(testModel.db.insert.called);
+      });
+    });
+
+    it('#setFromRequest should ignore sequence attributes', function() {
+      var testModel = new TestModel();
+
+      return testModel.setFromRequest({
+        order_number: 1000
+      }).then(function() {
+        assert.isUndefined(testModel.get('order_number'));
+      });
+    });
+  });
+
+  describe('toJSONSchema', function() {
+    var Address, Item, Items, Order;
+
+    beforeEach(function() {
+      Address = Model.extend({
+        hiddenAttributes: {
+          geo: true
+        },
+        schema: function() {
+          return {
+            city: {
+              type: 'string',
+              required: true
+            },
+            geo: 'geopoint'
+          };
+        }
+      });
+      Item = Model.extend({
+        schema: function() {
+          return {
+            sku: 'string'
+          };
+        }
+      });
+      Items = Collection.extend({
+        model: Item
+      });
+      Order = Model.extend({
+        urlRoot: 'orders',
+        versionAttribute: 'version',
+        hiddenAttributes: {
+          secret: true,
+          lines: {
+            cost: true
+          }
+        },
+        readOnlyAttributes: {
+          status: true
+        },
+        virtuals: {
+          total: function() {
+            return 0;
+          }
+        },
+        defaults: function() {
+          return {
+            status: 'open',
+            shipping: {
+              method: 'ground'
+            },
+            tags: []
+          };
+        },
+        schema: function() {
+          return {
+            _id: 'id',
+            email: {
+              type: 'email',
+              required: true
+            },
+            status: {
+              type: 'enum',
+              enum: ['open', 'closed']
+            },
+            price: 'money',
+            quantity: {
+              type: 'uinteger',
+              min: 1,
+              max: 100
+            },
+            secret: 'string',
+            created: 'date',
+            shipping: {
+              method: 'string',
+              address: Address
+            },
+            tags: {
+              type: ['string'],
+              maxLength: 5,
+              pattern: /^[a-z]+$/
+            },
+            lines: [{
+              cost: 'money'
+            }],
+            items: Items,
+            metadata: {},
+            order_number: {
+              type: 'uinteger',
+              sequence: 'order_number'
+            }
+          };
+        }
+      });
+    });
+
+    it('should convert types, descriptors and defaults', function() {
+      var json = Order.prototype.toJSONSchema();
+
+      assert.strictEqual(json.$schema, 'http://json-schema.org/draft-07/schema#');
+      assert.strictEqual(json.title, 'orders');
+      assert.strictEqual(json.type, 'object');
+      assert.deepEqual(json.required, ['email']);
+      assert.deepEqual(json.properties._id, {
+        type: 'string',
+        pattern: '^[0-9a-fA-F]{24}$'
+      });
+      assert.deepEqual(json.properties.email, {
+        type: 'string',
+        format: 'email'
+      });
+      assert.deepEqual(json.properties.status, {
+        enum: ['open', 'closed'],
+        default: 'open',
+        readOnly: true
+      });
+      assert.deepEqual(json.properties.quantity, {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100
+      });
+      assert.deepEqual(json.properties.created, {
+        type: 'string',
+        format: 'date-time'
+      });
+      assert.deepEqual(json.properties.tags, {
+        type: 'array',
+        items: {
+          type: 'string',
+          pattern: '^[a-z]+$'
+        },
+        maxItems: 5,
+        default: []
+      });
+      assert.deepEqual(json.properties.metadata, {
+        type: 'object'
+      });
+      assert.strictEqual(json.properties.shipping.properties.method.default, 'ground');
+    });
+
+    it('should mark hidden attributes writeOnly and read only ones readOnly', function() {
+      var json = Order.prototype.toJSONSchema();
+
+      assert.isTrue(json.properties.secret.writeOnly);
+      assert.isTrue(json.properties.lines.items.properties.cost.writeOnly);
+      assert.isTrue(json.properties.version.readOnly);
+      assert.isTrue(json.properties.order_number.readOnly);
+      assert.deepEqual(json.properties.total, {
+        readOnly: true
+      });
+    });
+
+    it('should convert embedded models and collections', function() {
+      var json = Order.prototype.toJSONSchema();
+      var address = json.properties.shipping.properties.address;
+
+      assert.isUndefined(address.$schema);
+      assert.deepEqual(address.required, ['city']);
+      assert.isTrue(address.properties.geo.writeOnly);
+      assert.deepEqual(address.properties.geo.required, ['type', 'coordinates']);
+      assert.deepEqual(json.properties.items, {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            sku: {
+              type: 'string'
+            }
+          }
+        }
+      });
+    });
+  });
+
+  describe('fields', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = Model.extend({
+        versionAttribute: 'version',
+        hiddenAttributes: {
+          secret: true
+        },
+        projectionAttributes: ['first_name', 'last_name'],
+        virtuals: {
+          full_name: function() {
+            return this.get('first_name') + ' ' + this.get('last_name');
+          }
+        },
+        defaults: function() {
+          return {
+            status: 'open'
+          };
+        },
+        schema: function() {
+          return {
+            _id: 'id',
+            first_name: 'string',
+            last_name: 'string',
+            email: 'string',
+            status: 'string',
+            secret: 'string',
+            items: [{
+              sku: 'string',
+              cost: 'integer'
+            }]
+          };
+        }
+      });
+    });
+
+    it('#buildProjection should always fetch the id, version and projectionAttributes', function() {
+      var projection = TestModel.prototype.buildProjection(['email', 'full_name', 'items.sku', 'items']);
+      assert.deepEqual(projection, {
+        email: 1,
+        items: 1,
+        first_name: 1,
+        last_name: 1,
+        _id: 1,
+        version: 1
+      });
+    });
+
+    it('#render should only render the fields', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2',
+        first_name: 'Sam',
+        last_name: 'Smith',
+        email: 'sam@example.com',
+        secret: 'shh',
+        items: [{
+          sku: 'a',
+          cost: 1
+        }]
+      });
+
+      assert.deepEqual(testModel.render({
+        fields: ['email', 'full_name', 'secret', 'items.sku']
+      }), {
+        _id: '53b4694cda836700006b61f2',
+        email: 'sam@example.com',
+        full_name: 'Sam Smith',
+        items: [{
+          sku: 'a'
+        }]
+      });
+    });
+
+    it('#read should pass the projection to findOne', function() {
+      var testModel = new TestModel({
+        _id: '53b4694cda836700006b61f2'
+      });
+      testModel.db = {
+        findOne: sinon.stub().resolves({})
+      };
+
+      return testModel.fetch({
+        fields: {
+          email: 1
+        }
+      }).then(function() {
+        assert.deepEqual(testModel.db.findOne.firstCall.args[2], {
+          fields: {
+            email: 1
+          }
+        });
+      });
+    });
+  });
 });
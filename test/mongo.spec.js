@@ -10,6 +10,7 @@ var sinon = require('sinon');
 var Promise = require('bluebird');
 var sinonAsPromised = require('sinon-as-promised')(Promise);
 var Mongo = require('../mongo');
+var BootieError = require('../error');
 
 // Test helpers
 var helpers = require('./helpers');
@@ -230,6 +231,41 @@ describe('Mongo', function() {
       });
     });
 
+    it('#insert should reject a duplicate key with a DuplicateError', function() {
+      return mongo.insert('tests', helpers.getFixture('docs')[0]).then(function() {
+        assert.fail('should have rejected');
+      }, function(err) {
+        assert.instanceOf(err, BootieError.DuplicateError);
+        assert.strictEqual(err.code, 409);
+        assert.strictEqual(err.type, 'duplicate');
+        assert.strictEqual(err.index, '_id_');
+        assert.deepEqual(err.fields, ['_id']);
+      });
+    });
+
+    it('#findAndModify should reject a duplicate key with a DuplicateError', function() {
+      return mongo.ensureIndex('tests', {
+        user_id: 1,
+        seq: -1
+      }, {
+        unique: true
+      }).then(function() {
+        return mongo.findAndModify('tests', {
+          _id: '538b7c95c883570700ee9646'
+        }, {
+          '$set': {
+            seq: 1000
+          }
+        });
+      }).then(function() {
+        assert.fail('should have rejected');
+      }, function(err) {
+        assert.instanceOf(err, BootieError.DuplicateError);
+        assert.strictEqual(err.index, 'user_id_1_seq_-1');
+        assert.deepEqual(err.fields, ['user_id', 'seq']);
+      });
+    });
+
     it('#update', function() {
       var updatedDoc = {
         updated: true
@@ -340,3 +376,79 @@ describe('Mongo', function() {
     });
   });
 });
+
+describe('Mongo duplicate keys', function() {
+  var mongo;
+  var collection;
+
+  // A duplicate key error of the mongodb driver
+  var duplicateKeyError = function(message, props) {
+    var err = new Error(message);
+    err.code = 11000;
+    return _.extend(err, props);
+  };
+
+  beforeEach(function() {
+    mongo = new Mongo();
+    collection = {
+      insertAsync: sinon.stub(),
+      findAndModifyAsync: sinon.stub()
+    };
+    mongo.collection = sinon.stub().resolves(collection);
+  });
+
+  it('#insert should find the fields from the index name', function() {
+    collection.insertAsync.rejects(duplicateKeyError('E11000 duplicate key error index: ' +
+      'test.orders.$user_id_1_order_number_-1  dup key: { : "u1", : 2 }'));
+
+    return mongo.insert('orders', {}).then(function() {
+      assert.fail('should have rejected');
+    }, function(err) {
+      assert.instanceOf(err, BootieError.DuplicateError);
+      assert.strictEqual(err.code, 409);
+      assert.strictEqual(err.type, 'duplicate');
+      assert.strictEqual(err.index, 'user_id_1_order_number_-1');
+      assert.deepEqual(err.fields, ['user_id', 'order_number']);
+    });
+  });
+
+  it('#insert should find the `_id` field of the `_id_` index', function() {
+    collection.insertAsync.rejects(duplicateKeyError('E11000 duplicate key error index: ' +
+      'test.orders.$_id_  dup key: { : ObjectId(\'538b7c95c883570700ee9646\') }'));
+
+    return mongo.insert('orders', {}).then(function() {
+      assert.fail('should have rejected');
+    }, function(err) {
+      assert.strictEqual(err.index, '_id_');
+      assert.deepEqual(err.fields, ['_id']);
+    });
+  });
+
+  it('#findAndModify should prefer the key pattern of the error', function() {
+    collection.findAndModifyAsync.rejects(duplicateKeyError('E11000 duplicate key error ' +
+      'collection: test.orders index: email_1 dup key: { email: "a@b.c" }', {
+        keyPattern: {
+          email: 1
+        }
+      }));
+
+    return mongo.findAndModify('orders', {}, {}).then(function() {
+      assert.fail('should have rejected');
+    }, function(err) {
+      assert.instanceOf(err, BootieError.DuplicateError);
+      assert.strictEqual(err.index, 'email_1');
+      assert.deepEqual(err.fields, ['email']);
+    });
+  });
+
+  it('should leave other errors as is', function() {
+    var error = new Error('not master');
+    collection.insertAsync.rejects(error);
+
+    return mongo.insert('orders', {}).then(function() {
+      assert.fail('should have rejected');
+    }, function(err) {
+      assert.strictEqual(err, error);
+    });
+  });
+});
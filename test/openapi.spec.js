@@ -0,0 +1,218 @@
+'use strict';
+
+var _ = require('lodash');
+var assert = require('chai').assert;
+var Router = require('../router');
+var Controller = require('../controller');
+var CrudController = require('../crud_controller');
+var Model = require('../model');
+var Collection = require('../collection');
+
+require('../mixins');
+
+describe('OpenAPI', function() {
+  var router;
+  var doc;
+
+  beforeEach(function() {
+    var Order = Model.extend({
+      urlRoot: 'orders',
+      views: {
+        summary: ['_id']
+      },
+      schema: function() {
+        return {
+          _id: 'id',
+          email: {
+            type: 'email',
+            required: true
+          },
+          status: 'string',
+          total: 'money'
+        };
+      }
+    });
+    var Orders = Collection.extend({
+      model: Order
+    });
+    var OrdersController = CrudController.extend({
+      urlRoot: 'orders',
+      model: Order,
+      collection: Orders,
+      queryParams: function() {
+        return {
+          status: 'string',
+          total: {
+            type: 'integer',
+            operators: ['gte', 'lt']
+          }
+        };
+      },
+      disallowedParams: function() {
+        return {
+          update: ['email']
+        };
+      }
+    });
+    var StatusController = Controller.extend({
+      setupRoutes: function() {
+        this.routes.get['/status'] = {
+          action: this.status
+        };
+      },
+      status: function(req, res, next) {
+        return next();
+      }
+    });
+
+    router = new Router({
+      version: 'v1',
+      openapi: {
+        title: 'Orders'
+      },
+      controllers: [new OrdersController(), new StatusController()]
+    });
+    router.addControllerRoutes();
+    doc = router.openapi({
+      title: 'Orders'
+    });
+  });
+
+  it('should describe every route', function() {
+    assert.strictEqual(doc.openapi, '3.0.3');
+    assert.deepEqual(doc.info, {
+      title: 'Orders',
+      version: '1'
+    });
+    assert.deepEqual(_.keys(doc.paths).sort(), [
+      '/v1/orders',
+      '/v1/orders/count',
+      '/v1/orders/{id}',
+      '/v1/status'
+    ]);
+    assert.deepEqual(_.keys(doc.paths['/v1/orders/{id}']).sort(), ['delete', 'get', 'patch', 'put']);
+    assert.deepEqual(doc.paths['/v1/orders/{id}'].get.tags, ['orders']);
+    assert.strictEqual(doc.paths['/v1/orders/{id}'].get.operationId, 'get_orders_id');
+  });
+
+  it('should describe path and query params', function() {
+    var find = doc.paths['/v1/orders'].get;
+    var params = _.indexBy(find.parameters, 'name');
+
+    assert.deepEqual(params.status, {
+      name: 'status',
+      in: 'query',
+      required: false,
+      schema: {
+        type: 'string'
+      }
+    });
+    assert.strictEqual(params.total.schema.type, 'integer');
+    assert.strictEqual(params['total[gte]'].schema.type, 'integer');
+    assert.property(params, 'total[lt]');
+    assert.property(params, 'limit');
+    assert.property(params, 'expand');
+    assert.strictEqual(params.sort.schema.type, 'string');
+    assert.deepEqual(params.order.schema.enum, ['asc', 'desc', '1', '-1']);
+    assert.deepEqual(params.view.schema.enum, ['summary']);
+
+    var findOne = _.indexBy(doc.paths['/v1/orders/{id}'].get.parameters, 'name');
+    assert.deepEqual(findOne.id, {
+      name: 'id',
+      in: 'path',
+      required: true,
+      schema: {
+        type: 'string'
+      }
+    });
+    assert.property(findOne, 'expand');
+  });
+
+  it('should describe bodies from the model schema', function() {
+    assert.strictEqual(doc.components.schemas.orders.type, 'object');
+    assert.deepEqual(doc.components.schemas.orders.required, ['email']);
+
+    var create = doc.paths['/v1/orders'].post;
+    assert.deepEqual(create.requestBody.content['application/json'].schema, {
+      $ref: '#/components/schemas/orders'
+    });
+    assert.deepEqual(create.responses['200'].content['application/json'].schema, {
+      type: 'object',
+      properties: {
+        meta: {
+          $ref: '#/components/schemas/Meta'
+        },
+        data: {
+          $ref: '#/components/schemas/orders'
+        }
+      }
+    });
+
+    // `email` is a disallowed param of updates
+    var update = doc.paths['/v1/orders/{id}'].put;
+    var updateSchema = update.requestBody.content['application/json'].schema;
+    assert.notProperty(updateSchema.properties, 'email');
+    assert.notProperty(updateSchema, 'required');
+
+    var find = doc.paths['/v1/orders'].get;
+    assert.deepEqual(find.responses['200'].content['application/json'].schema.properties.data, {
+      type: 'array',
+      items: {
+        $ref: '#/components/schemas/orders'
+      }
+    });
+
+    var destroy = doc.paths['/v1/orders/{id}'].delete;
+    assert.property(destroy.responses, '204');
+    assert.deepEqual(destroy.responses.default.content['application/json'].schema, {
+      $ref: '#/components/schemas/Error'
+    });
+  });
+
+  it('should not require properties of `PATCH` bodies', function() {
+    var ItemsController = CrudController.extend({
+      urlRoot: 'items',
+      model: Model.extend({
+        urlRoot: 'items',
+        schema: function() {
+          return {
+            _id: 'id',
+            sku: {
+              type: 'string',
+              required: true
+            }
+          };
+        }
+      })
+    });
+    router = new Router({
+      version: 'v1',
+      controllers: [new ItemsController()]
+    });
+    router.addControllerRoutes();
+    doc = router.openapi();
+
+    var put = doc.paths['/v1/items/{id}'].put;
+    var patch = doc.paths['/v1/items/{id}'].patch;
+    assert.deepEqual(put.requestBody.content['application/json'].schema, {
+      $ref: '#/components/schemas/items'
+    });
+    var patchSchema = patch.requestBody.content['application/json'].schema;
+    assert.notProperty(patchSchema, 'required');
+    assert.property(patchSchema.properties, 'sku');
+  });
+
+  it('should serve the document from `/openapi.json`', function(done) {
+    var res = {
+      json: function(json) {
+        assert.deepEqual(json, doc);
+        done();
+      }
+    };
+
+    router.handle({
+      method: 'GET',
+      url: '/openapi.json'
+    }, res, done);
+  });
+});